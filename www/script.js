@@ -1,42 +1,254 @@
 /* =========================================================
-  GLOBAL NUMBER FORMATTER (SAFE + REUSABLE)
+  LOCALISATION (MESSAGE CATALOG)
 ========================================================= */
-function formatText(text) {
-  if (!text || typeof text !== 'string') return text;
+// One catalog for R and JS: www/i18n/messages.json. app.R inlines it as
+// <script id="i18n_catalog"> so text is ready before Shiny connects (the
+// connection banner needs it offline), then sends the session's language
+// as the i18n message - tr() in app.R and t() here read the same keys.
+// Numbers and dates follow the language's locale.
+const LANGUAGE_STORAGE_KEY = 'pjmLanguage';
+const DEFAULT_LANGUAGE = 'en';
+const I18N_CATALOG = readI18nCatalog();
+
+let currentLanguage = loadLanguagePreference();
+let currentLocale = getLanguageLocale(currentLanguage);
+let currentMessages = getCatalogMessages(currentLanguage);
+let pluralRules = new Intl.PluralRules(currentLocale);
+
+function readI18nCatalog() {
+  const fallback = { languages: { en: { label: 'English', locale: 'en-PH' } }, messages: { en: {} } };
+  const el = document.getElementById('i18n_catalog');
+  if (!el) return fallback;
   
-  const cleanText = text.replace(/,/g, '');
+  try {
+    return JSON.parse(el.textContent);
+  } catch (e) {
+    console.log('Message catalog error:', e);
+    return fallback;
+  }
+}
+
+function getLanguageLocale(language) {
+  const entry = I18N_CATALOG.languages[language] || I18N_CATALOG.languages[DEFAULT_LANGUAGE];
+  return entry ? entry.locale : 'en-PH';
+}
+
+// English underneath, so a key missing from a translation still reads
+function getCatalogMessages(language) {
+  return Object.assign({}, I18N_CATALOG.messages[DEFAULT_LANGUAGE], I18N_CATALOG.messages[language]);
+}
+
+// Saved choice first, then the browser's languages ("tl" is Filipino too)
+function loadLanguagePreference() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (I18N_CATALOG.languages[saved]) return saved;
+  } catch (e) {
+    // Private browsing - fall through to the browser languages
+  }
   
-  // Currency (₱)
-  if (cleanText.includes('₱')) {
-    const amount = cleanText.replace(/[^0-9.]/g, '');
-    if (!isNaN(amount)) {
-      return '₱' + Number(amount).toLocaleString('en-US', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-      });
-    }
+  const browser = (navigator.languages || [navigator.language || ''])
+    .map(tag => String(tag).split('-')[0].toLowerCase())
+    .map(base => base === 'tl' ? 'fil' : base)
+    .find(base => I18N_CATALOG.languages[base]);
+  return browser || DEFAULT_LANGUAGE;
+}
+
+function saveLanguagePreference(language) {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch (e) {
+    // Private browsing - the server still remembers it for signed-in users
+  }
+}
+
+// messages from the server win over the inline catalog
+function setLanguageState(language, messages) {
+  if (!I18N_CATALOG.languages[language]) language = DEFAULT_LANGUAGE;
+  
+  currentLanguage = language;
+  currentLocale = getLanguageLocale(language);
+  currentMessages = Object.assign(getCatalogMessages(language), messages || {});
+  pluralRules = new Intl.PluralRules(currentLocale);
+  document.documentElement.lang = language;
+}
+
+// t('filters.count', { count: 3 }) - a numeric count picks "key.one" /
+// "key.other" when the catalog has them. Unknown keys come back as the key.
+function t(key, vars = {}) {
+  let text = currentMessages[key];
+  if (typeof vars.count === 'number') {
+    text = currentMessages[`${key}.${pluralRules.select(vars.count)}`] ||
+      currentMessages[`${key}.other`] || text;
   }
+  if (text === undefined) return key;
   
-  // Stock / Quantity (NO decimals)
-  if (text.includes('Stock')) {
-    const match = cleanText.match(/\d+/);
-    if (match) {
-      return text.replace(match[0], Number(match[0]).toLocaleString());
-    }
+  return String(text).replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined ? String(vars[name]) : match);
+}
+
+// For elements built here: the text (or attribute) is re-read from the
+// catalog by applyTranslations() whenever the language changes
+function setI18nText(el, key) {
+  el.setAttribute('data-i18n', key);
+  el.textContent = t(key);
+}
+
+function setI18nAttr(el, attr, key) {
+  el.setAttribute(`data-i18n-${attr}`, key);
+  el.setAttribute(attr, t(key));
+}
+
+const I18N_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+function applyTranslations(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
+  
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    const text = t(el.getAttribute('data-i18n'));
+    if (el.textContent !== text) el.textContent = text;
+  });
+  
+  I18N_ATTRIBUTES.forEach(attr => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+document.documentElement.lang = currentLanguage;
+
+/* =========================================================
+  SAFE HTML & DECLARATIVE EVENTS
+========================================================= */
+// Markup built from data goes through html`...`: every interpolated value
+// is escaped unless it is itself html`...` or trustedHtml(...). setHtml() is
+// the one place that writes innerHTML, so a plain string can never become
+// live markup by accident. trustedHtml() is the opt-in for the few messages
+// that really carry markup (show_notification(HTML(...)) on the R side).
+class TrustedHtml {
+  constructor(markup) {
+    this.markup = String(markup);
+  }
+  
+  toString() {
+    return this.markup;
   }
+}
+
+function trustedHtml(markup) {
+  return markup instanceof TrustedHtml ? markup : new TrustedHtml(markup);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function htmlValue(value) {
+  if (value instanceof TrustedHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(htmlValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new TrustedHtml(strings.reduce((markup, part, i) => markup + htmlValue(values[i - 1]) + part));
+}
+
+function setHtml(el, markup) {
+  el.innerHTML = htmlValue(markup);
+}
+
+// Elements with data-event-input="id" send input[[id]] on click, with
+// data-event-value (numbers stay numbers) or TRUE. Used instead of inline
+// onclick attributes so the page works under a CSP without 'unsafe-inline'.
+function handleEventInputClick(e) {
+  const el = e.currentTarget;
+  if (!window.Shiny || el.disabled) return;
+  
+  const raw = el.getAttribute('data-event-value');
+  let value = true;
+  if (raw !== null && raw !== '') value = isNaN(Number(raw)) ? raw : Number(raw);
+  
+  Shiny.setInputValue(el.getAttribute('data-event-input'), value, { priority: 'event' });
+}
+
+// img[data-fallback] swaps to that image once if its own fails to load.
+// Image errors don't bubble, so this is registered in the capture phase.
+function handleImageFallback(e) {
+  const image = e.target;
+  if (!image || image.tagName !== 'IMG' || !image.hasAttribute('data-fallback')) return;
   
-  // Plain number
-  if (/^\d+(\.\d+)?$/.test(cleanText)) {
-    return Number(cleanText).toLocaleString();
+  const fallback = image.getAttribute('data-fallback');
+  image.removeAttribute('data-fallback');
+  if (fallback && image.getAttribute('src') !== fallback) image.src = fallback;
+}
+
+/* =========================================================
+  GLOBAL NUMBER FORMATTER (INTL + DECLARATIVE)
+========================================================= */
+// Elements opt in with data-format="currency|compact-currency|integer|percent" and, for
+// currency, an optional data-currency ISO code (PHP when omitted).
+// Percent values are ratios: 0.25 renders as 25%. The locale follows the
+// chosen language (currentLocale).
+const DEFAULT_CURRENCY = 'PHP';
+const numberFormatters = {};
+
+function getNumberFormatter(format, currency = DEFAULT_CURRENCY) {
+  const key = `${currentLocale}|${format}|${currency}`;
+  if (numberFormatters[key]) return numberFormatters[key];
+  
+  let options;
+  if (format === 'currency') {
+    options = { style: 'currency', currency: currency };
+  } else if (format === 'compact-currency') {
+    options = { style: 'currency', currency: currency, notation: 'compact', maximumFractionDigits: 1 };
+  } else if (format === 'percent') {
+    options = { style: 'percent', maximumFractionDigits: 1 };
+  } else {
+    options = { maximumFractionDigits: 0 };
   }
   
-  // Number inside text
-  return text.replace(/\d+(\.\d+)?/g, m =>
-    Number(m).toLocaleString('en-US', {
-      minimumFractionDigits: text.includes('Price') ? 2 : 0,
-      maximumFractionDigits: text.includes('Price') ? 2 : 0
-    })
-  );
+  numberFormatters[key] = new Intl.NumberFormat(currentLocale, options);
+  return numberFormatters[key];
+}
+
+// Accepts numbers or already-formatted strings like "₱1,234.50"
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return NaN;
+  
+  const cleaned = String(value).replace(/[^0-9.\-]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function formatNumber(value, format = 'integer', currency = DEFAULT_CURRENCY) {
+  const number = parseNumber(value);
+  if (isNaN(number)) return value;
+  
+  try {
+    return getNumberFormatter(format, currency).format(number);
+  } catch (e) {
+    // Unknown currency code - fall back to the default rather than showing nothing
+    console.log('Number formatting error:', e);
+    return getNumberFormatter(format).format(number);
+  }
+}
+
+// DataTables columns.render factory - formats for display, but keeps the raw
+// number for sorting so "₱900.00" doesn't sort after "₱10,000.00"
+function dtFormatRender(format = 'currency', currency = DEFAULT_CURRENCY) {
+  return function(data, type) {
+    if (type === 'display' || type === 'filter') {
+      return formatNumber(data, format, currency);
+    }
+    return parseNumber(data);
+  };
 }
 
 /* =========================================================
@@ -51,319 +263,298 @@ function togglePasswordVisibility(button) {
     input.type = 'text';
     icon.classList.remove('fa-eye');
     icon.classList.add('fa-eye-slash');
-    button.setAttribute('aria-label', 'Hide password');
+    button.setAttribute('aria-label', t('password.hide'));
   } else {
     input.type = 'password';
     icon.classList.remove('fa-eye-slash');
     icon.classList.add('fa-eye');
-    button.setAttribute('aria-label', 'Show password');
+    button.setAttribute('aria-label', t('password.show'));
   }
   input.focus();
 }
 
 /* =========================================================
-  PRODUCT NAME LINE BREAKING FOR TABLES
+  ITEM CARDS (CART & ORDER ITEMS)
 ========================================================= */
-function fixProductNameLineBreaks() {
-  // Function to break long product names
-  function breakProductName(name, maxLength = 15) {
-    if (name.length <= maxLength) return name;
-    
-    const words = name.split(' ');
-    if (words.length === 1) {
-      // Single long word - break by character
-      return name.match(new RegExp(`.{1,${maxLength}}`, 'g')).join('<br>');
-    } else {
-      // Multiple words - try to fit optimally
-      let lines = [];
-      let currentLine = '';
-      
-      for (let word of words) {
-        if (currentLine.length + word.length + 1 <= maxLength) {
-          currentLine = currentLine ? currentLine + ' ' + word : word;
-        } else {
-          if (currentLine) lines.push(currentLine);
-          currentLine = word.length > maxLength ? 
-            word.match(new RegExp(`.{1,${maxLength}}`, 'g')).join('<br>') : 
-            word;
-        }
-      }
-      
-      if (currentLine) lines.push(currentLine);
-      return lines.join('<br>');
-    }
-  }
-  
-  // Apply to cart table
-  document.querySelectorAll('#cart_table_display td:first-child').forEach(cell => {
-    const originalText = cell.textContent.trim();
-    if (originalText.length > 15) {
-      cell.innerHTML = breakProductName(originalText, 15);
-      cell.style.lineHeight = '1.3';
-      cell.style.padding = '10px 5px';
-      cell.style.minHeight = '60px';
-      cell.style.display = 'flex';
-      cell.style.alignItems = 'center';
-      cell.style.justifyContent = 'center';
-      cell.style.flexDirection = 'column';
-      cell.classList.add('cart-product-name', 'stacked');
-    }
+// item_cards_table() in app.R renders cart and order line items through
+// these. On wide screens they stay a table; on phones styles.css stacks
+// each row into a card and labels the cells from data-label.
+const DEFAULT_SHOE_IMAGE = 'default_shoe_image.jpg';
+
+// DataTables createdRow: copy each column header onto its cell
+function dtItemCardRow(row) {
+  const api = this.api();
+  $(row).children('td').each(function(index) {
+    this.setAttribute('data-label', $(api.column(index).header()).text().trim());
   });
+}
+
+function dtItemImageRender(data, type) {
+  if (type !== 'display') return data;
+  return String(html`<img class="item-thumb" src="${data || DEFAULT_SHOE_IMAGE}"` +
+    html` data-fallback="${DEFAULT_SHOE_IMAGE}" alt="" loading="lazy">`);
+}
+
+// Quantity stepper for the cart. data-index is the 1-based position in
+// user_data$cart; the server re-renders the table once the change is saved.
+function dtCartQuantityRender(data, type, row, meta) {
+  const quantity = parseNumber(data);
+  if (type !== 'display') return quantity;
   
-  // Apply to order history tables
-  document.querySelectorAll('.order-history-modal td:first-child').forEach(cell => {
-    const originalText = cell.textContent.trim();
-    if (originalText.length > 15) {
-      cell.innerHTML = breakProductName(originalText, 15);
-      cell.style.lineHeight = '1.3';
-      cell.style.padding = '10px 5px';
-    }
-  });
+  return String(html`<div class="cart-qty" data-index="${meta.row + 1}" data-quantity="${quantity}">` +
+    html`<button type="button" class="cart-qty-btn" data-step="-1"${quantity <= 1 ? html` disabled` : ''}` +
+    html` data-i18n-aria-label="cart.decrease" aria-label="${t('cart.decrease')}">&minus;</button>` +
+    html`<span class="cart-qty-value">${formatNumber(quantity, 'integer')}</span>` +
+    html`<button type="button" class="cart-qty-btn" data-step="1"` +
+    html` data-i18n-aria-label="cart.increase" aria-label="${t('cart.increase')}">+</button>` +
+    html`</div>`);
+}
+
+// Sends the new quantity rather than the step, so a double click before the
+// table redraws can't change the line twice
+function changeCartQuantity(button) {
+  const control = button.closest('.cart-qty');
+  if (!control || !window.Shiny) return;
   
-  // Apply to staff order items table
-  document.querySelectorAll('#order_items_display td:first-child').forEach(cell => {
-    const originalText = cell.textContent.trim();
-    if (originalText.length > 15) {
-      cell.innerHTML = breakProductName(originalText, 15);
-      cell.style.lineHeight = '1.3';
-      cell.style.padding = '10px 5px';
-    }
-  });
+  const quantity = parseNumber(control.getAttribute('data-quantity')) +
+    parseNumber(button.getAttribute('data-step'));
+  if (isNaN(quantity) || quantity < 1) return;
+  
+  Shiny.setInputValue('cart_quantity', {
+    index: parseNumber(control.getAttribute('data-index')),
+    quantity: quantity
+  }, { priority: 'event' });
 }
 
 /* =========================================================
-  CART TABLE HEIGHT AND SCROLLING FIX - NO SCROLL, FIT TO MODAL
+  ORDER STATUS REGISTRY & BADGES
 ========================================================= */
-function fixCartTableScrolling() {
-  const cartWrapper = document.querySelector('#cart_table_display_wrapper');
-  const cartTable = document.querySelector('#cart_table_display');
-  
-  if (!cartWrapper || !cartTable) return;
-  
-  // Reset styles for no-scroll, fit to modal
-  cartWrapper.style.overflowX = 'auto';
-  cartWrapper.style.overflowY = 'auto';
-  cartWrapper.style.maxHeight = '250px'; // Reduced height for better fit
-  cartWrapper.style.position = 'relative';
-  cartWrapper.style.marginBottom = '10px';
-  
-  // Calculate optimal height based on content
-  const rowCount = cartTable.querySelectorAll('tbody tr').length;
-  const rowHeight = 45; // Reduced row height
-  const headerHeight = 45; // Reduced header height
-  const padding = 10;
-  
-  let calculatedHeight = (rowCount * rowHeight) + headerHeight + padding;
-  
-  // Limit height to prevent overflow
-  calculatedHeight = Math.min(calculatedHeight, 250);
-  
-  cartWrapper.style.maxHeight = calculatedHeight + 'px';
-  cartWrapper.style.height = calculatedHeight + 'px';
-  
-  // Optimize table layout
-  cartTable.style.width = '100%';
-  cartTable.style.tableLayout = 'auto';
+// Filled from STATUS_REGISTRY in app.R by the statusRegistry message on
+// session start, so a new status such as "Returned" only needs adding on the
+// R side. Until then status cells show their plain text.
+let STATUS_REGISTRY = [];
+
+function setStatusRegistry(statuses) {
+  if (!Array.isArray(statuses) || !statuses.length) return;
   
-  // Set specific column widths for better fit
-  const columns = cartTable.querySelectorAll('th');
-  if (columns.length >= 6) {
-    columns[0].style.minWidth = '120px';
-    columns[0].style.maxWidth = '150px';
-    columns[1].style.minWidth = '70px';
-    columns[2].style.minWidth = '70px';
-    columns[3].style.minWidth = '60px';
-    columns[4].style.minWidth = '90px';
-    columns[5].style.minWidth = '90px';
-  }
+  STATUS_REGISTRY = statuses
+    .filter(s => s && s.key)
+    .map(s => ({
+      key: s.key,
+      label: s.label || s.key,
+      color: s.color || '#6c757d',
+      icon: s.icon || 'circle',
+      description: s.description || '',
+      order: Number(s.order) || 99,
+      shortcut: s.shortcut ? String(s.shortcut).toLowerCase() : null
+    }))
+    .sort((a, b) => a.order - b.order);
+}
+
+function getStatus(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toLowerCase();
+  return STATUS_REGISTRY.find(s =>
+    s.key.toLowerCase() === text || s.label.toLowerCase() === text
+  ) || null;
+}
+
+// Keeps the legacy status-<name>-badge class so existing CSS still applies
+function statusClassName(status) {
+  return 'status-' + status.key.toLowerCase().replace(/\s+/g, '-') + '-badge';
+}
+
+function statusBadgeContent(status) {
+  return html`<i class="fa fa-${status.icon}"></i> ${status.label}`;
+}
+
+function renderStatusBadge(value) {
+  const status = getStatus(value);
+  if (!status) return escapeHtml(value);
   
-  // Ensure header stays visible
-  const thead = cartTable.querySelector('thead');
-  if (thead) {
-    thead.style.position = 'sticky';
-    thead.style.top = '0';
-    thead.style.zIndex = '10';
-    thead.style.backgroundColor = 'white';
-    thead.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
-  }
+  return String(html`<span class="status-badge ${statusClassName(status)}" data-status="${status.key}"` +
+    html` style="--status-color: ${status.color};" title="${status.description}">` +
+    statusBadgeContent(status) + html`</span>`);
+}
+
+// DataTables columns.render for status columns. Cells that aren't a known
+// status pass through untouched, so mixed columns are safe to target.
+function dtStatusRender(data, type) {
+  const status = getStatus(data);
+  if (!status) return data;
   
-  // Adjust DataTables if present
-  if (typeof $ !== 'undefined' && $(cartTable).DataTable) {
-    const dataTable = $(cartTable).DataTable();
-    if (dataTable) {
-      dataTable.columns.adjust();
-      dataTable.responsive.recalc();
-    }
-  }
+  if (type === 'display') return renderStatusBadge(status.key);
+  if (type === 'sort' || type === 'type') return status.order;
+  return status.label;
 }
 
-/* =========================================================
-  APPLY STATUS BADGE STYLES (UPDATED)
-========================================================= */
-function applyStatusBadgeStyles() {
-  // Find all status cells and apply badge styles
-  document.querySelectorAll('td, span, p, div').forEach(el => {
-    const text = el.textContent.trim();
-    const lowerText = text.toLowerCase();
-    
-    // Skip elements that already have badge classes
-    if (el.innerHTML.includes('status-') && el.innerHTML.includes('-badge')) {
-      return;
-    }
-    
-    if (lowerText === 'pending' || text === 'Pending') {
-      el.innerHTML = `<span class="status-pending-badge">Pending</span>`;
-      el.classList.add('status-cell');
-    } else if (lowerText === 'processing' || text === 'Processing') {
-      el.innerHTML = `<span class="status-processing-badge">Processing</span>`;
-      el.classList.add('status-cell');
-    } else if (lowerText === 'to ship' || text === 'To Ship') {
-      el.innerHTML = `<span class="status-to-ship-badge">To Ship</span>`;
-      el.classList.add('status-cell');
-    } else if (lowerText === 'shipped' || text === 'Shipped') {
-      el.innerHTML = `<span class="status-shipped-badge">Shipped</span>`;
-      el.classList.add('status-cell');
-    } else if (lowerText === 'completed' || text === 'Completed') {
-      el.innerHTML = `<span class="status-completed-badge">Completed</span>`;
-      el.classList.add('status-cell');
-    } else if (lowerText === 'cancelled' || text === 'Cancelled') {
-      el.innerHTML = `<span class="status-cancelled-badge">Cancelled</span>`;
-      el.classList.add('status-cell');
-    }
-    
-    // Also check for text that contains status labels
-    if (text.includes('Status:') || text.includes('STATUS:')) {
-      const statusMatch = text.match(/status:\s*([a-zA-Z\s]+)/i);
-      if (statusMatch) {
-        const status = statusMatch[1].trim();
-        const statusLower = status.toLowerCase();
-        
-        let badgeClass = '';
-        if (statusLower === 'pending') badgeClass = 'status-pending-badge';
-        else if (statusLower === 'processing') badgeClass = 'status-processing-badge';
-        else if (statusLower === 'to ship') badgeClass = 'status-to-ship-badge';
-        else if (statusLower === 'shipped') badgeClass = 'status-shipped-badge';
-        else if (statusLower === 'completed') badgeClass = 'status-completed-badge';
-        else if (statusLower === 'cancelled') badgeClass = 'status-cancelled-badge';
-        
-        if (badgeClass) {
-          el.innerHTML = el.innerHTML.replace(
-            status, 
-            `<span class="${badgeClass}">${status}</span>`
-          );
-        }
-      }
-    }
-  });
+// Fills in server-rendered <span data-status="..."> placeholders. Only the
+// badge element itself is touched, never its surroundings. Keyed on the
+// label so a registry in another language re-renders them.
+function applyStatusBadges(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
   
-  // Special handling for order success modal
-  document.querySelectorAll('.order-summary-card, .modal-body').forEach(container => {
-    const html = container.innerHTML;
-    if (html.includes('Status:') || html.includes('STATUS:')) {
-      container.innerHTML = html.replace(
-        /Status:\s*(Pending|Processing|To Ship|Shipped|Completed|Cancelled)/gi,
-        'Status: <span class="status-$1-badge">$1</span>'
-      );
-    }
+  root.querySelectorAll('[data-status]').forEach(el => {
+    const status = getStatus(el.getAttribute('data-status'));
+    if (!status || el.getAttribute('data-status-rendered') === status.label) return;
+    
+    el.classList.add('status-badge', statusClassName(status));
+    el.style.setProperty('--status-color', status.color);
+    el.title = status.description;
+    setHtml(el, statusBadgeContent(status));
+    el.setAttribute('data-status-rendered', status.label);
   });
 }
 
-/* =========================================================
-  DATE FORMATTING FOR ORDER HISTORY TABLES
-========================================================= */
-function fixDateFormatting() {
-  // Format dates in all DataTables
-  document.querySelectorAll('.dataTable td').forEach(cell => {
-    const text = cell.textContent.trim();
-    
-    // Match date patterns like "2024-01-01 12:00:00" or "2024-01-01"
-    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
-      try {
-        const date = new Date(text);
-        if (!isNaN(date)) {
-          // Format consistently across all tables
-          const formattedDate = date.toLocaleString('en-US', {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: true
-          });
-          
-          // Clean up the format to be consistent
-          const cleanedDate = formattedDate.replace(',', '');
-          cell.textContent = cleanedDate;
-          cell.classList.add('date-cell');
-        }
-      } catch (e) {
-        console.log('Date formatting error:', e);
-      }
-    }
-  });
+function refreshStatusTables() {
+  if (typeof $ === 'undefined' || !$.fn.dataTable) return;
+  $.fn.dataTable.tables({ api: true }).rows().invalidate().draw(false);
 }
 
 /* =========================================================
-  CSS PERSISTENCE SYSTEM - ENHANCED
+  DATE & TIME RENDERING
 ========================================================= */
-function initializeCSSPersistence() {
-  console.log('Initializing CSS persistence system...');
-  
-  // Add CSS loaded class to body
-  document.body.classList.add('css-loaded');
-  
-  // Force reflow to ensure CSS is applied
-  document.body.style.opacity = '1';
-  document.body.style.visibility = 'visible';
+// SQLite CURRENT_TIMESTAMP / datetime('now') values look like
+// "2026-01-06 19:51:11" and are UTC, but new Date() reads that shape as
+// local time in some browsers and rejects it in others. Parse it ourselves.
+const USER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const RELATIVE_DATE_LIMIT_DAYS = 7;
+
+// Built per locale on first use, like the number formatters
+const DATE_FORMATS = {
+  absolute: { dateStyle: 'medium', timeStyle: 'short' },
+  short: { dateStyle: 'medium' },
+  'chart-day': { month: 'short', day: 'numeric', timeZone: 'UTC' },
+  'chart-month': { month: 'short', year: 'numeric', timeZone: 'UTC' }
+};
+const dateFormatters = {};
+
+function getDateFormatter(format) {
+  const key = `${currentLocale}|${format}`;
+  if (!dateFormatters[key]) {
+    dateFormatters[key] = format === 'relative' ?
+      new Intl.RelativeTimeFormat(currentLocale, { numeric: 'auto' }) :
+      new Intl.DateTimeFormat(currentLocale, DATE_FORMATS[format]);
+  }
+  return dateFormatters[key];
+}
+
+function parseServerDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (value === null || value === undefined || value === '') return null;
   
-  // Store CSS state
-  localStorage.setItem('cssLoaded', 'true');
+  const text = String(value).trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0] = match;
+    return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec));
+  }
   
-  // Apply styles to login container
-  const loginContainer = document.getElementById('login_container');
-  if (loginContainer) {
-    loginContainer.style.opacity = '1';
-    loginContainer.style.visibility = 'visible';
-    loginContainer.style.display = 'flex';
+  // Anything carrying an explicit offset ("...Z", "+08:00") is unambiguous
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
   }
+  return null;
+}
+
+function formatAbsoluteDate(date) {
+  return `${getDateFormatter('absolute').format(date)} (${USER_TIMEZONE})`;
+}
+
+// "just now", "5 minutes ago", "yesterday"... then a plain date after a week
+function formatRelativeDate(date, now = Date.now()) {
+  const seconds = Math.round((date.getTime() - now) / 1000);
+  const abs = Math.abs(seconds);
+  const relative = getDateFormatter('relative');
   
-  // Initialize password toggles
-  setTimeout(initPasswordToggles, 100);
+  if (abs < 45) return t('dates.just_now');
+  if (abs < 3600) return relative.format(Math.round(seconds / 60), 'minute');
+  if (abs < 86400) return relative.format(Math.round(seconds / 3600), 'hour');
+  if (abs < RELATIVE_DATE_LIMIT_DAYS * 86400) {
+    return relative.format(Math.round(seconds / 86400), 'day');
+  }
+  return getDateFormatter('short').format(date);
 }
 
-/* =========================================================
-  FORCE CSS RELOAD FOR LOGOUT ISSUE
-========================================================= */
-function forceCSSReload() {
-  console.log('Forcing CSS reload...');
+function renderDate(value) {
+  const date = parseServerDate(value);
+  if (!date) return escapeHtml(value);
   
-  // Remove CSS classes
-  document.body.classList.remove('css-loaded');
+  return String(html`<time class="date-cell" datetime="${date.toISOString()}" data-relative="true"` +
+    html` title="${formatAbsoluteDate(date)}">${formatRelativeDate(date)}</time>`);
+}
+
+// DataTables columns.render for timestamp columns. Display gets relative
+// text; sorting uses epoch millis and search still matches the raw value.
+function dtDateRender(data, type) {
+  const date = parseServerDate(data);
+  if (!date) return data;
   
-  // Force reflow
-  void document.body.offsetHeight;
+  if (type === 'display') return renderDate(date);
+  if (type === 'sort' || type === 'type') return date.getTime();
+  if (type === 'filter') return `${data} ${formatAbsoluteDate(date)}`;
+  return data;
+}
+
+// Fills in server-rendered <time data-datetime="..."> placeholders
+function applyDates(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
   
-  // Re-add classes
-  setTimeout(() => {
-    document.body.classList.add('css-loaded');
+  root.querySelectorAll('[data-datetime]').forEach(el => {
+    const raw = el.getAttribute('data-datetime');
+    const date = parseServerDate(raw);
+    if (!date || el.getAttribute('data-datetime-rendered') === raw) return;
     
-    // Reinitialize login container
-    const loginContainer = document.getElementById('login_container');
-    if (loginContainer) {
-      loginContainer.style.opacity = '1';
-      loginContainer.style.visibility = 'visible';
-      loginContainer.style.display = 'flex';
-    }
+    el.classList.add('date-cell');
+    el.setAttribute('datetime', date.toISOString());
+    el.setAttribute('data-relative', 'true');
+    el.title = formatAbsoluteDate(date);
+    el.textContent = formatRelativeDate(date);
+    el.setAttribute('data-datetime-rendered', raw);
+  });
+}
+
+// Relative text goes stale ("just now" an hour later), so tick once a
+// minute. A language change re-renders the tooltips too.
+function refreshRelativeDates(includeTitles = false) {
+  document.querySelectorAll('time[data-relative]').forEach(el => {
+    const date = new Date(el.getAttribute('datetime'));
+    if (isNaN(date)) return;
     
-    // Reinitialize all components
-    setTimeout(init, 200);
-  }, 10);
+    const text = formatRelativeDate(date);
+    if (el.textContent !== text) el.textContent = text;
+    if (includeTitles) el.title = formatAbsoluteDate(date);
+  });
+}
+
+// Lets the server group "today" by the user's calendar day, not UTC's
+function reportClientTimezone() {
+  if (!window.Shiny || !Shiny.setInputValue) return;
+  
+  Shiny.setInputValue('client_timezone', {
+    timezone: USER_TIMEZONE,
+    offset: -new Date().getTimezoneOffset()
+  });
 }
 
 /* =========================================================
   ENHANCED PASSWORD TOGGLE SYSTEM
 ========================================================= */
+// Also re-run for every toggle when the language changes
+function labelPasswordToggle(button, input) {
+  const label = t(input.type === 'password' ? 'password.show' : 'password.hide');
+  button.setAttribute('aria-label', label);
+  button.setAttribute('title', label);
+}
+
+function relabelPasswordToggles() {
+  document.querySelectorAll('.password-toggle-btn').forEach(button => {
+    const input = button.parentElement.querySelector('input');
+    if (input) labelPasswordToggle(button, input);
+  });
+}
+
 function initPasswordToggles() {
   console.log('Initializing password toggles...');
   
@@ -399,23 +590,36 @@ function initPasswordToggles() {
     const toggleBtn = document.createElement('button');
     toggleBtn.type = 'button';
     toggleBtn.className = 'password-toggle-btn';
-    toggleBtn.innerHTML = '<i class="fas fa-eye"></i>';
-    toggleBtn.setAttribute('aria-label', 'Show password');
-    toggleBtn.setAttribute('title', 'Show password');
+    setHtml(toggleBtn, html`<i class="fas fa-eye"></i>`);
+    labelPasswordToggle(toggleBtn, input);
     
     // Add click handler
     toggleBtn.addEventListener('click', function() {
       const isPassword = input.type === 'password';
       input.type = isPassword ? 'text' : 'password';
-      this.innerHTML = isPassword ? '<i class="fas fa-eye-slash"></i>' : '<i class="fas fa-eye"></i>';
-      this.setAttribute('aria-label', isPassword ? 'Hide password' : 'Show password');
-      this.setAttribute('title', isPassword ? 'Hide password' : 'Show password');
+      setHtml(this, isPassword ? html`<i class="fas fa-eye-slash"></i>` : html`<i class="fas fa-eye"></i>`);
+      labelPasswordToggle(this, input);
       input.focus();
     });
     
     // Add button to wrapper
     wrapper.appendChild(toggleBtn);
     
+    // Caps lock warning - stays with the input whichever type it's toggled to
+    const capsIndicator = document.createElement('div');
+    capsIndicator.className = 'caps-lock-indicator';
+    capsIndicator.setAttribute('role', 'status');
+    setI18nText(capsIndicator, 'password.caps_lock');
+    capsIndicator.hidden = true;
+    wrapper.appendChild(capsIndicator);
+    
+    ['keydown', 'keyup'].forEach(type => {
+      input.addEventListener(type, (e) => {
+        if (e.getModifierState) capsIndicator.hidden = !e.getModifierState('CapsLock');
+      });
+    });
+    input.addEventListener('blur', () => { capsIndicator.hidden = true; });
+    
     // Adjust input padding
     input.style.paddingRight = '45px';
     input.style.width = '100%';
@@ -438,28 +642,146 @@ function initPasswordToggles() {
 }
 
 /* =========================================================
-   NUMBER FORMATTING
+  PASSWORD STRENGTH (REGISTRATION)
 ========================================================= */
-function formatNumbersWithCommas() {
-  document.querySelectorAll(
-    '.dataTable td, .dataTable th, p, span, h4, h5, div'
-  ).forEach(el => {
-    const text = el.textContent.trim();
-    if (!text) return;
+// Rules come from PASSWORD_RULES in app.R via the passwordRules message; these
+// defaults only cover the moment before it arrives
+let passwordRules = { min_length: 8, min_classes: 2, block_common: true, common: [] };
 
-    if (
-      text.includes('₱') ||
-      text.includes('Price') ||
-      text.includes('Total') ||
-      text.includes('Amount') ||
-      text.includes('Stock')
-    ) {
-      const formatted = formatText(text);
-      if (formatted !== text) {
-        el.textContent = formatted;
-        el.classList.add('comma-number');
-      }
+function setPasswordRules(rules) {
+  passwordRules = Object.assign({}, passwordRules, rules);
+  passwordRules.common = (passwordRules.common || []).map(p => String(p).toLowerCase());
+  
+  // Rebuild the checklist in case the rules changed under an open form
+  document.querySelectorAll('.password-strength').forEach(meter => meter.remove());
+  const input = document.getElementById('reg_pass');
+  if (input) input.removeAttribute('data-strength-ready');
+  initPasswordStrength();
+}
+
+function evaluatePassword(password) {
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/]
+    .filter(pattern => pattern.test(password)).length;
+  const common = passwordRules.common.includes(password.toLowerCase());
+  
+  const checks = [
+    {
+      label: t('password.rule.length', { count: passwordRules.min_length }),
+      ok: password.length >= passwordRules.min_length
+    },
+    {
+      label: t('password.rule.classes', { count: passwordRules.min_classes }),
+      ok: classes >= passwordRules.min_classes
+    }
+  ];
+  if (passwordRules.block_common) {
+    checks.push({ label: t('password.rule.common'), ok: password.length > 0 && !common });
+  }
+  
+  // Score 0-4 for the bar; a common password is always "Very weak"
+  let score = 0;
+  if (password && !common) {
+    score = (password.length >= passwordRules.min_length ? 1 : 0) +
+      (password.length >= passwordRules.min_length + 4 ? 1 : 0) +
+      (classes >= 3 ? 1 : 0) +
+      (classes === 4 ? 1 : 0);
+  }
+  
+  return { checks, score, valid: checks.every(check => check.ok) };
+}
+
+function updatePasswordStrength() {
+  const input = document.getElementById('reg_pass');
+  const confirm = document.getElementById('reg_pass_confirm');
+  const meter = document.querySelector('.password-strength');
+  if (!input || !meter) return;
+  
+  const result = evaluatePassword(input.value);
+  
+  meter.setAttribute('data-score', input.value ? result.score : '');
+  meter.querySelector('.password-strength-label').textContent =
+    input.value ? t(`password.strength.${result.score}`) : '';
+  
+  const list = meter.querySelector('.password-rules');
+  list.replaceChildren();
+  result.checks.forEach(check => {
+    const item = document.createElement('li');
+    item.className = check.ok ? 'ok' : '';
+    item.textContent = check.label;
+    list.appendChild(item);
+  });
+  
+  // Only complain about the match once something has been typed in the confirm field
+  const match = document.querySelector('.password-match');
+  const matches = !!confirm && confirm.value === input.value;
+  if (match) {
+    match.hidden = !confirm.value || matches;
+  }
+  
+  const register = document.getElementById('register_account');
+  if (register) register.disabled = !(result.valid && matches);
+}
+
+function initPasswordStrength() {
+  const input = document.getElementById('reg_pass');
+  const confirm = document.getElementById('reg_pass_confirm');
+  if (!input || !confirm || input.hasAttribute('data-strength-ready')) return;
+  input.setAttribute('data-strength-ready', 'true');
+  
+  const meter = document.createElement('div');
+  meter.className = 'password-strength';
+  meter.setAttribute('aria-live', 'polite');
+  
+  const bar = document.createElement('div');
+  bar.className = 'password-strength-bar';
+  bar.appendChild(document.createElement('span'));
+  
+  const label = document.createElement('div');
+  label.className = 'password-strength-label';
+  
+  const rules = document.createElement('ul');
+  rules.className = 'password-rules';
+  
+  meter.append(bar, label, rules);
+  const inputWrapper = input.closest('.password-input-wrapper') || input;
+  inputWrapper.insertAdjacentElement('afterend', meter);
+  
+  let match = document.querySelector('.password-match');
+  if (!match) {
+    match = document.createElement('div');
+    match.className = 'password-match';
+    match.setAttribute('role', 'alert');
+    setI18nText(match, 'password.mismatch');
+    (confirm.closest('.password-input-wrapper') || confirm).insertAdjacentElement('afterend', match);
+  }
+  
+  input.addEventListener('input', updatePasswordStrength);
+  confirm.addEventListener('input', updatePasswordStrength);
+  updatePasswordStrength();
+}
+
+/* =========================================================
+   NUMBER FORMATTING
+========================================================= */
+function applyNumberFormats(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
+  
+  root.querySelectorAll('[data-format]').forEach(el => {
+    // Keep the raw value on the element so re-running is idempotent
+    if (!el.hasAttribute('data-value')) {
+      el.setAttribute('data-value', el.textContent.trim());
+    }
+    
+    const formatted = formatNumber(
+      el.getAttribute('data-value'),
+      el.getAttribute('data-format'),
+      el.getAttribute('data-currency') || DEFAULT_CURRENCY
+    );
+    
+    if (el.textContent !== formatted) {
+      el.textContent = formatted;
     }
+    el.classList.add('comma-number');
   });
 }
 
@@ -482,8 +804,9 @@ function fixAddToCartModalLayout() {
   const modal = document.querySelector('.modal.show');
   if (!modal) return;
   
+  // The cart modal lays out its own checkout bar
   const footer = modal.querySelector('.modal-footer');
-  if (footer) {
+  if (footer && !footer.querySelector('.cart-checkout-bar')) {
     // Check if this is an add to cart modal
     const modalTitle = modal.querySelector('.modal-title');
     if (modalTitle && (modalTitle.textContent.includes('Add') || 
@@ -519,162 +842,4406 @@ function fixAddToCartModalLayout() {
 }
 
 /* =========================================================
-   CART TABLE FIX - NO SCROLL, FIT TO MODAL
+   TOAST SYSTEM
 ========================================================= */
-function fixCartTable() {
-  const cartWrapper = document.querySelector('#cart_table_display_wrapper');
-  const cartTable = document.querySelector('#cart_table_display');
-  if (!cartWrapper || !cartTable) return;
+// Shared by toasts and alert dialogs so both speak the same visual language
+const NOTIFICATION_ICONS = {
+  success: 'check-circle',
+  error: 'times-circle',
+  warning: 'exclamation-triangle',
+  info: 'info-circle'
+};
 
-  // Calculate optimal height based on content
-  const rowCount = cartTable.querySelectorAll('tbody tr').length;
-  const rowHeight = 45;
-  const headerHeight = 45;
-  const padding = 10;
+const TOAST_MAX_VISIBLE = 4;
+const toastQueue = [];
+const activeToasts = [];
 
-  let calculatedHeight = (rowCount * rowHeight) + headerHeight + padding;
-  calculatedHeight = Math.min(calculatedHeight, 250); // Max 250px
+// Shiny's Bootstrap 3 marks open modals with .in, Bootstrap 4+ with .show
+function getOpenModals() {
+  return document.querySelectorAll('.modal.show, .modal.in');
+}
 
-  cartWrapper.style.maxHeight = calculatedHeight + 'px';
-  cartWrapper.style.height = calculatedHeight + 'px';
-  cartTable.style.width = '100%';
+/*
+ * options.waitForModal - hold the toast until every open modal has closed
+ * options.action       - { label, inputId, value } renders a button that
+ *                        sends value to Shiny as input[inputId]
+ */
+window.showToast = function (message, type = 'success', duration = 3000, options = {}) {
+  type = NOTIFICATION_ICONS[type] ? type : 'info';
+  const key = type + '|' + message;
+  
+  // Collapse repeats of the same message into one toast with a counter
+  const visible = activeToasts.find(t => t.key === key);
+  if (visible) {
+    visible.count++;
+    updateToastCount(visible);
+    startToastTimer(visible, visible.duration);
+    return;
+  }
+  
+  const queued = toastQueue.find(t => t.key === key);
+  if (queued) {
+    queued.count++;
+    return;
+  }
+  
+  toastQueue.push({
+    key: key,
+    message: message,
+    type: type,
+    duration: duration,
+    count: 1,
+    waitForModal: !!options.waitForModal,
+    action: options.action || null
+  });
+  flushToastQueue();
+};
 
-  setTimeout(formatNumbersWithCommas, 100);
+function flushToastQueue() {
+  const modalOpen = getOpenModals().length > 0;
+  let i = 0;
+  
+  while (i < toastQueue.length && activeToasts.length < TOAST_MAX_VISIBLE) {
+    if (toastQueue[i].waitForModal && modalOpen) {
+      i++;
+      continue;
+    }
+    renderToast(toastQueue.splice(i, 1)[0]);
+  }
 }
 
-/* =========================================================
-   TOAST SYSTEM
-========================================================= */
-window.showToast = function (message, type = 'success', duration = 3000) {
-  const container = document.querySelector('.toast-container') || (() => {
+function getToastContainer() {
+  return document.querySelector('.toast-container') || (() => {
     const c = document.createElement('div');
     c.className = 'toast-container';
+    c.setAttribute('role', 'region');
+    setI18nAttr(c, 'aria-label', 'a11y.notifications');
     document.body.appendChild(c);
     return c;
   })();
+}
+
+function renderToast(toast) {
+  const icons = NOTIFICATION_ICONS;
   
-  const icons = {
-    success: 'check-circle',
-    error: 'times-circle',
-    warning: 'exclamation-triangle',
-    info: 'info-circle'
-  };
+  const el = document.createElement('div');
+  el.className = `toast toast-${toast.type}`;
+  // Plain text unless the caller passed trustedHtml(...)
+  setHtml(el, html`
+    <div class="toast-icon"><i class="fa fa-${icons[toast.type]}"></i></div>
+    <div class="toast-message">${toast.message}</div>
+    <span class="toast-count"></span>
+    <button class="toast-close" type="button" aria-label="${t('a11y.dismiss')}">&times;</button>
+    <div class="toast-progress"></div>
+  `);
   
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.innerHTML = `
-    <div class="toast-icon"><i class="fa fa-${icons[type]}"></i></div>
-    <div class="toast-message">${message}</div>
-    <button class="toast-close">&times;</button>
-  `;
+  if (toast.action && toast.action.label && toast.action.inputId) {
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'toast-action';
+    actionBtn.textContent = toast.action.label;
+    actionBtn.addEventListener('click', () => {
+      Shiny.setInputValue(
+        toast.action.inputId,
+        toast.action.value !== undefined ? toast.action.value : true,
+        { priority: 'event' }
+      );
+      dismissToast(toast);
+    });
+    el.insertBefore(actionBtn, el.querySelector('.toast-close'));
+  }
   
-  container.appendChild(toast);
+  toast.element = el;
+  activeToasts.push(toast);
+  updateToastCount(toast);
+  getToastContainer().appendChild(el);
+  announce(el.querySelector('.toast-message').textContent, toast.type === 'error' ? 'assertive' : 'polite');
   
-  toast.querySelector('.toast-close').onclick = () => {
-    toast.remove();
+  el.querySelector('.toast-close').onclick = () => {
+    dismissToast(toast);
   };
   
-  setTimeout(() => {
-    if (toast.parentNode) {
-      toast.remove();
-    }
-  }, duration);
-};
+  // Pause the countdown while the pointer is over the toast
+  el.addEventListener('mouseenter', () => {
+    clearTimeout(toast.timer);
+    toast.remaining -= Date.now() - toast.startedAt;
+  });
+  el.addEventListener('mouseleave', () => {
+    startToastTimer(toast, toast.remaining);
+  });
+  
+  startToastTimer(toast, toast.duration);
+}
 
-/* =========================================================
-  ENHANCED INITIALIZATION FOR SHINYAPPS.IO
-========================================================= */
-function initForShinyapps() {
-  console.log('Initializing for shinyapps.io deployment...');
+function startToastTimer(toast, ms) {
+  clearTimeout(toast.timer);
+  toast.remaining = Math.max(ms, 500);
+  toast.startedAt = Date.now();
+  toast.timer = setTimeout(() => dismissToast(toast), toast.remaining);
   
-  // Force CSS persistence
-  document.body.classList.add('css-loaded');
-  document.body.style.opacity = '1';
-  document.body.style.visibility = 'visible';
+  // The progress bar restarts from full whenever the full duration restarts
+  if (ms === toast.duration) {
+    const bar = toast.element.querySelector('.toast-progress');
+    bar.style.animation = 'none';
+    void bar.offsetWidth;
+    bar.style.animation = `toastProgress ${toast.duration}ms linear forwards`;
+  }
+}
+
+function updateToastCount(toast) {
+  const badge = toast.element.querySelector('.toast-count');
+  badge.textContent = toast.count > 1 ? '×' + toast.count : '';
+}
+
+function dismissToast(toast) {
+  clearTimeout(toast.timer);
+  const index = activeToasts.indexOf(toast);
+  if (index === -1) return;
   
-  // Initialize all components with delays
-  setTimeout(initPasswordToggles, 100);
-  setTimeout(formatNumbersWithCommas, 200);
-  setTimeout(applyStatusBadgeStyles, 300);
-  setTimeout(fixAllModalCentering, 400);
+  activeToasts.splice(index, 1);
+  toast.element.classList.add('toast-leaving');
+  setTimeout(() => toast.element.remove(), 250);
   
-  // Special handling for shinyapps.io
-  if (window.location.hostname.includes('shinyapps.io')) {
-    console.log('Running on shinyapps.io - applying special fixes');
-    
-    // More aggressive CSS persistence
-    setInterval(function() {
-      if (!document.body.classList.contains('css-loaded')) {
-        document.body.classList.add('css-loaded');
-      }
-    }, 1000);
-  }
+  flushToastQueue();
 }
 
 /* =========================================================
-  ENHANCED INITIALIZATION FUNCTION
+   ALERT DIALOG SYSTEM
 ========================================================= */
-function init() {
-  console.log('Initializing shoe ordering system...');
-  
-  // Initialize all components
-  initializeCSSPersistence();
-  initPasswordToggles();
-  formatNumbersWithCommas();
-  fixDateFormatting();
-  fixCartTable();
-  fixAllModalCentering();
-  fixProductNameLineBreaks();
-  fixCartTableScrolling();
-  fixAddToCartModalLayout();
+const alertQueue = [];
+let activeAlert = null;
+let alertCounter = 0;
+
+window.showAlert = function (options = {}) {
+  const alert = {
+    id: options.id || 'alert_' + (++alertCounter),
+    title: options.title || '',
+    text: options.text || '',
+    icon: NOTIFICATION_ICONS[options.icon] ? options.icon : 'info',
+    confirmText: options.confirmText || 'OK',
+    cancelText: options.cancelText || null,
+    inputId: options.inputId || 'alert_response',
+    waitForModal: !!options.waitForModal,
+    onClose: typeof options.onClose === 'function' ? options.onClose : null
+  };
+  
+  alertQueue.push(alert);
+  processAlertQueue();
+  return alert.id;
+};
+
+function processAlertQueue() {
+  if (activeAlert || !alertQueue.length) return;
+  
+  // Keep the queue in order: a deferred alert holds back the ones behind it
+  // until hidden.bs.modal calls us again
+  if (alertQueue[0].waitForModal && getOpenModals().length) return;
+  
+  renderAlert(alertQueue.shift());
+}
+
+function renderAlert(alert) {
+  const overlay = document.createElement('div');
+  overlay.className = 'alert-dialog-overlay';
+  setHtml(overlay, html`
+    <div class="alert-dialog alert-dialog-${alert.icon}" role="alertdialog" aria-modal="true"
+         aria-labelledby="${alert.id}_title" aria-describedby="${alert.id}_text">
+      <div class="alert-dialog-icon"><i class="fa fa-${NOTIFICATION_ICONS[alert.icon]}"></i></div>
+      <h4 class="alert-dialog-title" id="${alert.id}_title"></h4>
+      <div class="alert-dialog-text" id="${alert.id}_text"></div>
+      <div class="alert-dialog-buttons"></div>
+    </div>
+  `);
+  
+  // Title and text come from the server, so never parse them as markup
+  overlay.querySelector('.alert-dialog-title').textContent = alert.title;
+  overlay.querySelector('.alert-dialog-text').textContent = alert.text;
+  
+  const buttons = overlay.querySelector('.alert-dialog-buttons');
+  
+  if (alert.cancelText) {
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-theme btn-cancel alert-dialog-cancel';
+    cancelBtn.textContent = alert.cancelText;
+    cancelBtn.addEventListener('click', () => closeAlert(false));
+    buttons.appendChild(cancelBtn);
+  }
+  
+  const confirmBtn = document.createElement('button');
+  confirmBtn.type = 'button';
+  confirmBtn.className = 'btn-theme alert-dialog-confirm';
+  confirmBtn.textContent = alert.confirmText;
+  confirmBtn.addEventListener('click', () => closeAlert(true));
+  buttons.appendChild(confirmBtn);
+  
+  activeAlert = {
+    alert: alert,
+    overlay: overlay,
+    returnFocus: document.activeElement
+  };
+  
+  // An open Bootstrap modal pulls focus back into itself on every focusin,
+  // which would make our buttons unreachable; re-armed in closeAlert()
+  if (typeof $ !== 'undefined') {
+    $(document).off('focusin.bs.modal');
+  }
+  
+  document.addEventListener('keydown', handleAlertKeydown, true);
+  document.body.classList.add('alert-dialog-open');
+  document.body.appendChild(overlay);
+  confirmBtn.focus();
+}
+
+function handleAlertKeydown(e) {
+  if (!activeAlert) return;
+  
+  if (e.key === 'Escape') {
+    // Don't let the keypress reach a modal underneath and close it too
+    e.preventDefault();
+    e.stopPropagation();
+    closeAlert(!activeAlert.alert.cancelText);
+  } else if (e.key === 'Tab') {
+    const focusable = activeAlert.overlay.querySelectorAll('button');
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+function closeAlert(confirmed) {
+  if (!activeAlert) return;
+  
+  const { alert, overlay, returnFocus } = activeAlert;
+  activeAlert = null;
+  
+  overlay.remove();
+  document.removeEventListener('keydown', handleAlertKeydown, true);
+  document.body.classList.remove('alert-dialog-open');
+  
+  if (alert.onClose) {
+    alert.onClose(confirmed);
+  } else if (window.Shiny && Shiny.setInputValue) {
+    Shiny.setInputValue(alert.inputId, {
+      id: alert.id,
+      confirmed: confirmed
+    }, { priority: 'event' });
+  }
+  
+  // Hand focus enforcement back to the topmost modal, if one is still open
+  const modals = getOpenModals();
+  const topModal = modals[modals.length - 1];
+  if (topModal && typeof $ !== 'undefined') {
+    const bsModal = $(topModal).data('bs.modal');
+    if (bsModal && typeof bsModal.enforceFocus === 'function') {
+      bsModal.enforceFocus();
+    }
+  }
+  
+  if (returnFocus && document.contains(returnFocus)) {
+    returnFocus.focus();
+  }
+  
+  // Small gap so consecutive alerts read as separate dialogs
+  setTimeout(processAlertQueue, 150);
+}
+
+/* =========================================================
+   LIVE CART BADGE & MINI-CART DRAWER
+========================================================= */
+let lastCartCount = null;
+let miniCartCloseTimer = null;
+
+function updateCartBadges(count) {
+  document.querySelectorAll('.cart-container .cart-badge').forEach(badge => {
+    // Write into the cart_count textOutput, not over it - replacing that
+    // span would detach its Shiny output binding
+    const output = badge.querySelector('.shiny-text-output') || badge;
+    output.textContent = count;
+    
+    // Restart the bump animation even if it is already running
+    badge.classList.remove('cart-badge-bump');
+    void badge.offsetWidth;
+    badge.classList.add('cart-badge-bump');
+  });
+}
+
+function getMiniCartDrawer() {
+  let drawer = document.querySelector('.mini-cart-drawer');
+  if (drawer) return drawer;
+  
+  drawer = document.createElement('aside');
+  drawer.className = 'mini-cart-drawer';
+  setI18nAttr(drawer, 'aria-label', 'cart.summary');
+  drawer.setAttribute('aria-hidden', 'true');
+  setHtml(drawer, html`
+    <div class="mini-cart-header">
+      <h4><i class="fa fa-shopping-cart"></i> <span data-i18n="cart.heading">${t('cart.heading')}</span></h4>
+      <button type="button" class="mini-cart-close" data-i18n-aria-label="cart.close_summary"
+              aria-label="${t('cart.close_summary')}">&times;</button>
+    </div>
+    <ul class="mini-cart-items"></ul>
+    <div class="mini-cart-footer">
+      <div class="mini-cart-subtotal">
+        <span data-i18n="cart.subtotal">${t('cart.subtotal')}</span>
+        <strong class="mini-cart-subtotal-value"></strong>
+      </div>
+      <button type="button" class="btn-theme mini-cart-view" data-i18n="cart.view">${t('cart.view')}</button>
+    </div>
+  `);
+  
+  drawer.querySelector('.mini-cart-close').addEventListener('click', closeMiniCart);
+  drawer.querySelector('.mini-cart-view').addEventListener('click', () => {
+    closeMiniCart();
+    Shiny.setInputValue('show_cart', Math.random(), { priority: 'event' });
+  });
+  
+  // Let the customer read the drawer without it sliding away under the cursor
+  drawer.addEventListener('mouseenter', () => clearTimeout(miniCartCloseTimer));
+  drawer.addEventListener('mouseleave', () => scheduleMiniCartClose(2000));
+  
+  document.body.appendChild(drawer);
+  return drawer;
+}
+
+function renderMiniCart(items, subtotal) {
+  const drawer = getMiniCartDrawer();
+  const list = drawer.querySelector('.mini-cart-items');
+  list.replaceChildren();
+  
+  if (!items.length) {
+    const empty = document.createElement('li');
+    empty.className = 'mini-cart-empty';
+    setI18nText(empty, 'cart.empty');
+    list.appendChild(empty);
+  }
+  
+  items.forEach(item => {
+    const row = document.createElement('li');
+    row.className = 'mini-cart-item';
+    
+    const img = document.createElement('img');
+    img.src = item.image || 'default_shoe_image.jpg';
+    img.alt = '';
+    img.onerror = function() {
+      this.onerror = null;
+      this.src = 'default_shoe_image.jpg';
+    };
+    
+    const details = document.createElement('div');
+    details.className = 'mini-cart-item-details';
+    
+    const name = document.createElement('span');
+    name.className = 'mini-cart-item-name';
+    name.textContent = item.name;
+    
+    const meta = document.createElement('span');
+    meta.className = 'mini-cart-item-meta';
+    meta.textContent = t('cart.item_meta', { color: item.color, size: item.size, quantity: item.quantity });
+    
+    const total = document.createElement('span');
+    total.className = 'mini-cart-item-total';
+    total.textContent = formatNumber(item.price * item.quantity, 'currency');
+    
+    details.append(name, meta);
+    row.append(img, details, total);
+    list.appendChild(row);
+  });
+  
+  drawer.querySelector('.mini-cart-subtotal-value').textContent = formatNumber(subtotal, 'currency');
+}
+
+function openMiniCart(autoClose = true) {
+  const drawer = getMiniCartDrawer();
+  drawer.classList.add('open');
+  drawer.setAttribute('aria-hidden', 'false');
+  
+  if (autoClose) scheduleMiniCartClose(4000);
+}
+
+function closeMiniCart() {
+  clearTimeout(miniCartCloseTimer);
+  const drawer = document.querySelector('.mini-cart-drawer');
+  if (!drawer) return;
+  drawer.classList.remove('open');
+  drawer.setAttribute('aria-hidden', 'true');
+}
+
+function scheduleMiniCartClose(delay) {
+  clearTimeout(miniCartCloseTimer);
+  miniCartCloseTimer = setTimeout(closeMiniCart, delay);
+}
+
+function handleCartUpdated(message) {
+  const count = Number(message.count) || 0;
+  const items = message.items || [];
+  
+  updateCartBadges(count);
+  renderMiniCart(items, Number(message.subtotal) || 0);
+  
+  // Peek the drawer only when something was added; removals and the
+  // initial load after login stay quiet
+  if (lastCartCount !== null && count > lastCartCount && !getOpenModals().length) {
+    openMiniCart();
+  }
+  
+  if (count === 0) closeMiniCart();
+  lastCartCount = count;
+}
+
+/* =========================================================
+  PRODUCT FILTERING (HOME TAB)
+========================================================= */
+// Product cards carry their data as data-* attributes (product_card in
+// app.R); everything here runs in the browser. State lives in the URL hash,
+// e.g. #products?q=air&price=2000-5000&color=Black&size=8,9&sort=price-asc
+const PRODUCT_HASH_PREFIX = '#products';
+const PRICE_STEP = 100;
+// Labels are catalog keys: filters.sort.<key>
+const PRODUCT_SORTS = ['featured', 'price-asc', 'price-desc', 'newest', 'stock'];
+
+let productFilterState = readProductFilterHash();
+let productSignature = '';
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readProductFilterHash() {
+  const state = { q: '', min: null, max: null, colors: [], sizes: [], sort: 'featured' };
+  if (!window.location.hash.startsWith(PRODUCT_HASH_PREFIX)) return state;
+  
+  const params = new URLSearchParams(window.location.hash.slice(PRODUCT_HASH_PREFIX.length + 1));
+  const price = (params.get('price') || '').split('-').map(Number);
+  
+  state.q = params.get('q') || '';
+  if (price.length === 2 && !isNaN(price[0]) && !isNaN(price[1])) {
+    [state.min, state.max] = price;
+  }
+  state.colors = splitList(params.get('color'));
+  state.sizes = splitList(params.get('size'));
+  if (PRODUCT_SORTS.includes(params.get('sort'))) state.sort = params.get('sort');
+  return state;
+}
+
+// replaceState, so filtering doesn't flood the back button
+function writeProductFilterHash() {
+  const params = new URLSearchParams();
+  const state = productFilterState;
+  
+  if (state.q) params.set('q', state.q);
+  if (state.min !== null && state.max !== null) params.set('price', `${state.min}-${state.max}`);
+  if (state.colors.length) params.set('color', state.colors.join(','));
+  if (state.sizes.length) params.set('size', state.sizes.join(','));
+  if (state.sort !== 'featured') params.set('sort', state.sort);
+  
+  const query = params.toString();
+  const hash = query ? `${PRODUCT_HASH_PREFIX}?${query}` : '';
+  if (hash !== window.location.hash) {
+    history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+  }
+}
+
+function readProducts() {
+  return Array.from(document.querySelectorAll('.shoe-card-grid .card[data-shoe-id]')).map((card, index) => ({
+    card: card,
+    index: index,
+    name: card.getAttribute('data-name') || '',
+    price: Number(card.getAttribute('data-price')) || 0,
+    stock: Number(card.getAttribute('data-stock')) || 0,
+    colors: splitList(card.getAttribute('data-colors')),
+    sizes: splitList(card.getAttribute('data-sizes')),
+    created: parseServerDate(card.getAttribute('data-created'))
+  }));
+}
+
+// Every query token must match the name or a colour, either as a substring
+// or as an in-order subsequence ("nke ar" finds "Nike Air"). Higher is better.
+function fuzzyScore(query, product) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!tokens.length) return 0;
+  
+  const haystacks = [product.name, ...product.colors].map(text => text.toLowerCase());
+  let total = 0;
+  
+  for (const token of tokens) {
+    let best = -1;
+    
+    haystacks.forEach(text => {
+      const position = text.indexOf(token);
+      if (position !== -1) {
+        best = Math.max(best, 100 - position);
+        return;
+      }
+      
+      // Subsequence match, penalised by the gaps between matched letters
+      let from = 0;
+      let gaps = 0;
+      for (const char of token) {
+        const found = text.indexOf(char, from);
+        if (found === -1) return;
+        if (from && found > from) gaps += found - from;
+        from = found + 1;
+      }
+      best = Math.max(best, 50 - gaps);
+    });
+    
+    if (best < 0) return null;
+    total += best;
+  }
+  return total;
+}
+
+function sortSizes(a, b) {
+  const diff = parseFloat(a) - parseFloat(b);
+  return isNaN(diff) ? a.localeCompare(b) : diff;
+}
+
+function priceBounds(products) {
+  if (!products.length) return { min: 0, max: 0 };
+  const prices = products.map(product => product.price);
+  return {
+    min: Math.floor(Math.min(...prices) / PRICE_STEP) * PRICE_STEP,
+    max: Math.ceil(Math.max(...prices) / PRICE_STEP) * PRICE_STEP
+  };
+}
+
+function buildProductFilterControls(container) {
+  container.replaceChildren();
+  
+  const row = document.createElement('div');
+  row.className = 'product-filter-row';
+  
+  // Search
+  const searchField = document.createElement('label');
+  searchField.className = 'product-filter-field product-filter-search';
+  const searchLabel = document.createElement('span');
+  setI18nText(searchLabel, 'filters.search');
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'form-control';
+  setI18nAttr(search, 'placeholder', 'filters.search_placeholder');
+  search.autocomplete = 'off';
+  search.setAttribute('data-filter', 'q');
+  search.value = productFilterState.q;
+  search.addEventListener('input', () => {
+    productFilterState.q = search.value.trim();
+    applyProductFilters();
+  });
+  searchField.append(searchLabel, search);
+  
+  // Dual-handle price range: two range inputs stacked on one track
+  const priceField = document.createElement('div');
+  priceField.className = 'product-filter-field product-filter-price';
+  const priceLabel = document.createElement('span');
+  setI18nText(priceLabel, 'filters.price');
+  const priceValue = document.createElement('output');
+  priceValue.className = 'price-range-value';
+  const slider = document.createElement('div');
+  slider.className = 'price-range';
+  ['min', 'max'].forEach(handle => {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.step = PRICE_STEP;
+    input.setAttribute('data-handle', handle);
+    setI18nAttr(input, 'aria-label', handle === 'min' ? 'filters.price_min' : 'filters.price_max');
+    input.addEventListener('input', () => handlePriceInput(input));
+    slider.appendChild(input);
+  });
+  priceField.append(priceLabel, priceValue, slider);
+  
+  // Sort
+  const sortField = document.createElement('label');
+  sortField.className = 'product-filter-field product-filter-sort';
+  const sortLabel = document.createElement('span');
+  setI18nText(sortLabel, 'filters.sort');
+  const sort = document.createElement('select');
+  sort.className = 'form-control';
+  sort.setAttribute('data-filter', 'sort');
+  PRODUCT_SORTS.forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    setI18nText(option, `filters.sort.${key}`);
+    sort.appendChild(option);
+  });
+  sort.value = productFilterState.sort;
+  sort.addEventListener('change', () => {
+    productFilterState.sort = sort.value;
+    applyProductFilters();
+  });
+  sortField.append(sortLabel, sort);
+  
+  row.append(searchField, priceField, sortField);
+  
+  const facets = document.createElement('div');
+  facets.className = 'product-facets';
+  ['colors', 'sizes'].forEach(facet => {
+    const group = document.createElement('div');
+    group.className = 'facet-group';
+    group.setAttribute('data-facet', facet);
+    group.setAttribute('role', 'group');
+    setI18nAttr(group, 'aria-label', facet === 'colors' ? 'filters.colour' : 'filters.size');
+    facets.appendChild(group);
+  });
+  
+  const summary = document.createElement('div');
+  summary.className = 'product-filter-summary';
+  summary.setAttribute('aria-live', 'polite');
+  const count = document.createElement('span');
+  count.className = 'product-filter-count';
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'product-filter-clear';
+  setI18nText(clear, 'filters.clear');
+  clear.addEventListener('click', clearProductFilters);
+  summary.append(count, clear);
+  
+  container.append(row, facets, summary);
+  container.setAttribute('data-built', 'true');
+}
+
+function handlePriceInput(input) {
+  const container = input.closest('.product-filters');
+  const minInput = container.querySelector('[data-handle="min"]');
+  const maxInput = container.querySelector('[data-handle="max"]');
+  
+  // Handles can't cross each other
+  if (Number(minInput.value) > Number(maxInput.value)) {
+    if (input === minInput) {
+      minInput.value = maxInput.value;
+    } else {
+      maxInput.value = minInput.value;
+    }
+  }
+  
+  const atBounds = Number(minInput.value) === Number(minInput.min) &&
+    Number(maxInput.value) === Number(maxInput.max);
+  productFilterState.min = atBounds ? null : Number(minInput.value);
+  productFilterState.max = atBounds ? null : Number(maxInput.value);
+  applyProductFilters();
+}
+
+function updatePriceRange(container, bounds) {
+  const minInput = container.querySelector('[data-handle="min"]');
+  const maxInput = container.querySelector('[data-handle="max"]');
+  const state = productFilterState;
+  
+  [minInput, maxInput].forEach(input => {
+    input.min = bounds.min;
+    input.max = bounds.max;
+  });
+  minInput.value = state.min !== null ? Math.max(bounds.min, Math.min(state.min, bounds.max)) : bounds.min;
+  maxInput.value = state.max !== null ? Math.min(bounds.max, Math.max(state.max, bounds.min)) : bounds.max;
+  
+  const span = bounds.max - bounds.min || 1;
+  const slider = container.querySelector('.price-range');
+  slider.style.setProperty('--range-start', `${((minInput.value - bounds.min) / span) * 100}%`);
+  slider.style.setProperty('--range-end', `${((maxInput.value - bounds.min) / span) * 100}%`);
+  
+  container.querySelector('.price-range-value').textContent =
+    `${formatNumber(minInput.value, 'currency')} – ${formatNumber(maxInput.value, 'currency')}`;
+}
+
+function renderFacets(container, products) {
+  ['colors', 'sizes'].forEach(facet => {
+    const group = container.querySelector(`[data-facet="${facet}"]`);
+    const values = Array.from(new Set(products.flatMap(product => product[facet])));
+    values.sort(facet === 'sizes' ? sortSizes : (a, b) => a.localeCompare(b));
+    
+    group.replaceChildren();
+    if (!values.length) return;
+    
+    const title = document.createElement('span');
+    title.className = 'facet-title';
+    setI18nText(title, facet === 'colors' ? 'filters.colour_heading' : 'filters.size_heading');
+    group.appendChild(title);
+    
+    values.forEach(value => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'facet-chip';
+      chip.textContent = value;
+      chip.setAttribute('aria-pressed', productFilterState[facet].includes(value) ? 'true' : 'false');
+      chip.addEventListener('click', () => {
+        const selected = productFilterState[facet];
+        const position = selected.indexOf(value);
+        if (position === -1) {
+          selected.push(value);
+        } else {
+          selected.splice(position, 1);
+        }
+        chip.setAttribute('aria-pressed', position === -1 ? 'true' : 'false');
+        applyProductFilters();
+      });
+      group.appendChild(chip);
+    });
+  });
+}
+
+function clearProductFilters() {
+  productFilterState = { q: '', min: null, max: null, colors: [], sizes: [], sort: 'featured' };
+  productSignature = '';
+  initProductFilters();
+}
+
+function applyProductFilters() {
+  const container = document.getElementById('product_filters');
+  const grid = document.querySelector('.shoe-card-grid');
+  if (!container || !grid) return;
+  
+  const state = productFilterState;
+  const products = readProducts();
+  updatePriceRange(container, priceBounds(products));
+  
+  const visible = [];
+  products.forEach(product => {
+    const score = fuzzyScore(state.q, product);
+    const matches = score !== null &&
+      (state.min === null || product.price >= state.min) &&
+      (state.max === null || product.price <= state.max) &&
+      (!state.colors.length || product.colors.some(color => state.colors.includes(color))) &&
+      (!state.sizes.length || product.sizes.some(size => state.sizes.includes(size)));
+    
+    product.card.hidden = !matches;
+    if (matches) visible.push(Object.assign(product, { score: score }));
+  });
+  
+  const sorters = {
+    featured: (a, b) => (state.q ? b.score - a.score : 0) || a.index - b.index,
+    'price-asc': (a, b) => a.price - b.price,
+    'price-desc': (a, b) => b.price - a.price,
+    newest: (a, b) => ((b.created || 0) - (a.created || 0)) || a.index - b.index,
+    stock: (a, b) => b.stock - a.stock
+  };
+  visible.sort(sorters[state.sort] || sorters.featured);
+  
+  // Cards only move when the order actually changes
+  const order = visible.map(product => product.card);
+  const current = Array.from(grid.querySelectorAll('.card[data-shoe-id]:not([hidden])'));
+  if (order.some((card, i) => current[i] !== card)) {
+    order.forEach(card => grid.appendChild(card));
+  }
+  
+  const filtered = state.q || state.min !== null || state.max !== null ||
+    state.colors.length || state.sizes.length;
+  container.querySelector('.product-filter-count').textContent = filtered ?
+    t('filters.count_filtered', { shown: visible.length, count: products.length }) :
+    t('filters.count', { count: products.length });
+  container.querySelector('.product-filter-clear').hidden = !filtered && state.sort === 'featured';
+  grid.classList.toggle('no-matches', products.length > 0 && visible.length === 0);
+  updateProductCardNavigation();
+  
+  writeProductFilterHash();
+}
+
+// Runs whenever the product grid is (re)rendered - facets and the price
+// range follow the current products, the filter state carries over
+function initProductFilters() {
+  const container = document.getElementById('product_filters');
+  if (!container) return;
+  if (!container.hasAttribute('data-built')) buildProductFilterControls(container);
+  
+  const products = readProducts();
+  const signature = products.map(product =>
+    [product.card.getAttribute('data-shoe-id'), product.price, product.stock,
+      product.colors.join('|'), product.sizes.join('|')].join(':')).sort().join(';');
+  
+  // Our own card reordering shows up as a DOM change too - ignore it
+  const grid = document.querySelector('.shoe-card-grid');
+  if (signature === productSignature && grid && grid.hasAttribute('data-filtered')) return;
+  productSignature = signature;
+  if (grid) grid.setAttribute('data-filtered', 'true');
+  
+  container.querySelector('[data-filter="q"]').value = productFilterState.q;
+  container.querySelector('[data-filter="sort"]').value = productFilterState.sort;
+  renderFacets(container, products);
+  applyProductFilters();
+}
+
+/* =========================================================
+  ADD-TO-CART VARIANT PICKER
+========================================================= */
+// Swatches, a size grid and a quantity stepper on top of the modal's plain
+// sel_color / sel_size / sel_qty inputs. The inputs stay in the page (just
+// hidden), so Shiny and confirm_add_cart see exactly what they did before.
+function parseJSONAttribute(el, name, fallback) {
+  try {
+    return JSON.parse(el.getAttribute(name)) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Mirrors confirm_add_cart: a colour/size can't go past the shoe's stock
+// once what's already in the cart is counted
+function variantRemaining(picker, color, size) {
+  const inCart = picker.variantInCart[`${color}|${size}`] || 0;
+  return Math.max(picker.variantStock - inCart, 0);
+}
+
+function setShinyInputValue(input, value) {
+  if (String(input.value) === String(value)) return;
+  input.value = value;
+  $(input).trigger('change');
+}
+
+function swatchColor(name) {
+  const color = name.toLowerCase().replace(/\s+/g, '');
+  return window.CSS && CSS.supports('color', color) ? color : null;
+}
+
+function buildOptionGroup(picker, kind, values) {
+  const group = document.createElement('div');
+  group.className = `variant-options variant-${kind}`;
+  group.setAttribute('role', 'radiogroup');
+  group.setAttribute('aria-label', kind === 'color' ? 'Colour' : 'Size');
+  
+  values.forEach(value => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = kind === 'color' ? 'variant-swatch' : 'variant-size';
+    option.setAttribute('role', 'radio');
+    option.setAttribute('data-value', value);
+    option.title = value;
+    
+    if (kind === 'color') {
+      const dot = document.createElement('span');
+      dot.className = 'variant-swatch-dot';
+      const color = swatchColor(value);
+      if (color) {
+        dot.style.background = color;
+      } else {
+        dot.classList.add('unknown');
+      }
+      const label = document.createElement('span');
+      label.textContent = value;
+      option.append(dot, label);
+    } else {
+      option.textContent = value;
+    }
+    
+    option.addEventListener('click', () => {
+      if (option.disabled) return;
+      picker.selection[kind] = value;
+      updateVariantPicker(picker);
+    });
+    group.appendChild(option);
+  });
+  
+  // Arrow keys move within the group like native radios
+  group.addEventListener('keydown', (e) => {
+    if (!/^Arrow(Left|Right|Up|Down)$/.test(e.key)) return;
+    const options = Array.from(group.querySelectorAll('button:not(:disabled)'));
+    const current = options.indexOf(document.activeElement);
+    if (current === -1) return;
+    
+    e.preventDefault();
+    const step = /Right|Down/.test(e.key) ? 1 : -1;
+    const next = options[(current + step + options.length) % options.length];
+    next.focus();
+    next.click();
+  });
+  
+  return group;
+}
+
+function buildQuantityStepper(picker) {
+  const stepper = document.createElement('div');
+  stepper.className = 'qty-stepper';
+  
+  const minus = document.createElement('button');
+  minus.type = 'button';
+  minus.className = 'qty-step';
+  minus.setAttribute('data-step', '-1');
+  setI18nAttr(minus, 'aria-label', 'cart.decrease');
+  minus.textContent = '−';
+  
+  const value = document.createElement('output');
+  value.className = 'qty-value';
+  value.setAttribute('aria-live', 'polite');
+  
+  const plus = document.createElement('button');
+  plus.type = 'button';
+  plus.className = 'qty-step';
+  plus.setAttribute('data-step', '1');
+  setI18nAttr(plus, 'aria-label', 'cart.increase');
+  plus.textContent = '+';
+  
+  [minus, plus].forEach(button => {
+    button.addEventListener('click', () => {
+      picker.selection.qty += Number(button.getAttribute('data-step'));
+      updateVariantPicker(picker);
+    });
+  });
+  
+  stepper.append(minus, value, plus);
+  return stepper;
+}
+
+function updateVariantPicker(picker) {
+  const { selection, colorSelect, sizeSelect, qtyInput } = picker;
+  const sizes = Array.from(sizeSelect.options).map(option => option.value);
+  
+  // Colours with no buyable size at all are out; so are sizes for the picked colour
+  picker.querySelectorAll('.variant-swatch').forEach(option => {
+    const color = option.getAttribute('data-value');
+    option.disabled = !sizes.some(size => variantRemaining(picker, color, size) > 0);
+  });
+  if (picker.querySelector(`.variant-swatch[data-value="${CSS.escape(selection.color)}"]`).disabled) {
+    const firstOpen = picker.querySelector('.variant-swatch:not(:disabled)');
+    if (firstOpen) selection.color = firstOpen.getAttribute('data-value');
+  }
+  
+  picker.querySelectorAll('.variant-size').forEach(option => {
+    option.disabled = variantRemaining(picker, selection.color, option.getAttribute('data-value')) === 0;
+  });
+  if (picker.querySelector(`.variant-size[data-value="${CSS.escape(selection.size)}"]`).disabled) {
+    const firstOpen = picker.querySelector('.variant-size:not(:disabled)');
+    if (firstOpen) selection.size = firstOpen.getAttribute('data-value');
+  }
+  
+  picker.querySelectorAll('[role="radio"]').forEach(option => {
+    const kind = option.classList.contains('variant-swatch') ? 'color' : 'size';
+    const checked = option.getAttribute('data-value') === selection[kind];
+    option.setAttribute('aria-checked', checked ? 'true' : 'false');
+    option.tabIndex = checked ? 0 : -1;
+  });
+  
+  const remaining = variantRemaining(picker, selection.color, selection.size);
+  const maxQty = Math.min(remaining, picker.variantMaxQty);
+  selection.qty = Math.max(Math.min(selection.qty, maxQty), maxQty > 0 ? 1 : 0);
+  
+  picker.querySelector('.qty-value').textContent = selection.qty;
+  picker.querySelector('[data-step="-1"]').disabled = selection.qty <= 1;
+  picker.querySelector('[data-step="1"]').disabled = selection.qty >= maxQty;
+  
+  const hint = picker.querySelector('.variant-stock-hint');
+  if (remaining === 0) {
+    hint.textContent = t('variant.none_left');
+  } else if (remaining < picker.variantStock) {
+    hint.textContent = t('variant.some_left', { count: remaining });
+  } else {
+    hint.textContent = t('variant.in_stock', { count: remaining });
+  }
+  
+  picker.querySelector('.variant-line-total').textContent =
+    formatNumber(picker.variantPrice * selection.qty, 'currency');
+  
+  qtyInput.max = maxQty;
+  setShinyInputValue(colorSelect, selection.color);
+  setShinyInputValue(sizeSelect, selection.size);
+  setShinyInputValue(qtyInput, selection.qty);
+  
+  const confirm = document.getElementById('confirm_add_cart');
+  if (confirm) confirm.disabled = remaining === 0;
+}
+
+function initVariantPickers(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
+  
+  const owner = root.closest && root.closest('.variant-picker');
+  const pickers = owner ? [owner] : Array.from(root.querySelectorAll('.variant-picker'));
+  
+  pickers.forEach(picker => {
+    if (picker.hasAttribute('data-picker-ready')) return;
+    
+    const colorSelect = picker.querySelector('select#sel_color');
+    const sizeSelect = picker.querySelector('select#sel_size');
+    const qtyInput = picker.querySelector('input#sel_qty');
+    if (!colorSelect || !sizeSelect || !qtyInput) return;
+    
+    picker.setAttribute('data-picker-ready', 'true');
+    Object.assign(picker, {
+      colorSelect: colorSelect,
+      sizeSelect: sizeSelect,
+      qtyInput: qtyInput,
+      variantPrice: Number(picker.getAttribute('data-price')) || 0,
+      variantStock: Number(picker.getAttribute('data-stock')) || 0,
+      variantMaxQty: Number(picker.getAttribute('data-max-qty')) || 10,
+      variantInCart: parseJSONAttribute(picker, 'data-in-cart', {}),
+      selection: {
+        color: colorSelect.value,
+        size: sizeSelect.value,
+        qty: Number(qtyInput.value) || 1
+      }
+    });
+    
+    const ui = document.createElement('div');
+    ui.className = 'variant-picker-ui';
+    
+    const sections = [
+      ['filters.colour', buildOptionGroup(picker, 'color', Array.from(colorSelect.options).map(o => o.value))],
+      ['filters.size', buildOptionGroup(picker, 'size', Array.from(sizeSelect.options).map(o => o.value))],
+      ['variant.quantity', buildQuantityStepper(picker)]
+    ];
+    sections.forEach(([titleKey, control]) => {
+      const section = document.createElement('div');
+      section.className = 'variant-section';
+      const heading = document.createElement('div');
+      heading.className = 'variant-heading';
+      setI18nText(heading, titleKey);
+      section.append(heading, control);
+      ui.appendChild(section);
+    });
+    
+    const hint = document.createElement('div');
+    hint.className = 'variant-stock-hint';
+    
+    const total = document.createElement('div');
+    total.className = 'variant-total';
+    const totalLabel = document.createElement('span');
+    setI18nText(totalLabel, 'variant.line_total');
+    const totalValue = document.createElement('strong');
+    totalValue.className = 'variant-line-total';
+    total.append(totalLabel, totalValue);
+    
+    ui.append(hint, total);
+    picker.appendChild(ui);
+    updateVariantPicker(picker);
+  });
+}
+
+/* =========================================================
+  SHOE IMAGE UPLOADER
+========================================================= */
+// Drop zone for the Add/Edit Shoe modals. The picked image is checked, cropped
+// to the product card's aspect ratio, scaled down and re-encoded as JPEG here,
+// so the server only ever receives one small, uniform file per shoe.
+const IMAGE_MIN_SOURCE_SIDE = 200;
+const IMAGE_MAX_ZOOM = 4;
+
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+}
+
+function setUploaderError(zone, message) {
+  const error = zone.querySelector('.image-drop-error');
+  error.textContent = message || '';
+  error.hidden = !message;
+}
+
+function setUploaderStage(zone, stage) {
+  zone.setAttribute('data-stage', stage);
+  zone.querySelector('.image-drop-target').hidden = stage !== 'empty';
+  zone.querySelector('.image-cropper').hidden = stage !== 'crop';
+  zone.querySelector('.image-result').hidden = stage !== 'done';
+}
+
+function sendUploaderValue(zone, value) {
+  if (window.Shiny && Shiny.setInputValue) {
+    Shiny.setInputValue(zone.getAttribute('data-input-id'), value, { priority: 'event' });
+  }
+}
+
+function validateImageFile(zone, file) {
+  const types = zone.getAttribute('data-types').split(',');
+  const maxBytes = Number(zone.getAttribute('data-max-bytes'));
+  
+  if (!types.includes(file.type)) {
+    return 'Unsupported file type. Please use a JPG, PNG, GIF or WebP image.';
+  }
+  if (file.size > maxBytes) {
+    return `Image is too large (${formatFileSize(file.size)}). Maximum is ${formatFileSize(maxBytes)}.`;
+  }
+  return null;
+}
+
+function loadUploaderFile(zone, file) {
+  setUploaderError(zone, null);
+  
+  const problem = validateImageFile(zone, file);
+  if (problem) {
+    setUploaderError(zone, problem);
+    return;
+  }
+  
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  
+  image.onload = function() {
+    if (image.naturalWidth < IMAGE_MIN_SOURCE_SIDE || image.naturalHeight < IMAGE_MIN_SOURCE_SIDE) {
+      URL.revokeObjectURL(url);
+      setUploaderError(zone, `Image is too small. It should be at least ${IMAGE_MIN_SOURCE_SIDE}px on each side.`);
+      return;
+    }
+    
+    if (zone.cropState && zone.cropState.url) URL.revokeObjectURL(zone.cropState.url);
+    zone.cropState = { image, url, name: file.name, zoom: 1, centerX: 0.5, centerY: 0.5 };
+    zone.querySelector('.image-crop-zoom').value = 1;
+    setUploaderStage(zone, 'crop');
+    drawCropPreview(zone);
+  };
+  
+  image.onerror = function() {
+    URL.revokeObjectURL(url);
+    setUploaderError(zone, 'This file could not be read as an image.');
+  };
+  
+  image.src = url;
+}
+
+// Source rectangle for the current zoom and centre, always inside the image
+function cropRect(zone) {
+  const { image, zoom, centerX, centerY } = zone.cropState;
+  const aspect = Number(zone.getAttribute('data-width')) / Number(zone.getAttribute('data-height'));
+  const naturalW = image.naturalWidth;
+  const naturalH = image.naturalHeight;
+  
+  let width = naturalW / naturalH > aspect ? naturalH * aspect : naturalW;
+  width /= zoom;
+  const height = width / aspect;
+  
+  const x = Math.min(Math.max(centerX * naturalW - width / 2, 0), naturalW - width);
+  const y = Math.min(Math.max(centerY * naturalH - height / 2, 0), naturalH - height);
+  
+  // Keep the centre in sync with the clamp so dragging past an edge doesn't build up slack
+  zone.cropState.centerX = (x + width / 2) / naturalW;
+  zone.cropState.centerY = (y + height / 2) / naturalH;
+  
+  return { x, y, width, height };
+}
+
+function drawCropPreview(zone) {
+  const canvas = zone.querySelector('.image-crop-canvas');
+  const rect = cropRect(zone);
+  const context = canvas.getContext('2d');
+  
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(zone.cropState.image, rect.x, rect.y, rect.width, rect.height,
+                    0, 0, canvas.width, canvas.height);
+}
+
+function encodeCroppedImage(zone) {
+  const width = Number(zone.getAttribute('data-width'));
+  const height = Number(zone.getAttribute('data-height'));
+  const quality = Number(zone.getAttribute('data-quality')) || 0.85;
+  const rect = cropRect(zone);
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  
+  // JPEG has no alpha - transparent PNG/WebP backgrounds become white, not black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(zone.cropState.image, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+  
+  return canvas.toDataURL('image/jpeg', quality);
+}
+
+function applyCrop(zone) {
+  const data = encodeCroppedImage(zone);
+  const bytes = Math.round((data.length - data.indexOf(',') - 1) * 3 / 4);
+  
+  zone.querySelector('.image-result img').src = data;
+  zone.querySelector('.image-result-meta').textContent =
+    `${zone.getAttribute('data-width')} × ${zone.getAttribute('data-height')} JPEG · ${formatFileSize(bytes)}`;
+  
+  setUploaderStage(zone, 'done');
+  sendUploaderValue(zone, {
+    data: data,
+    name: zone.cropState.name,
+    width: Number(zone.getAttribute('data-width')),
+    height: Number(zone.getAttribute('data-height'))
+  });
+}
+
+function clearUploader(zone) {
+  if (zone.cropState && zone.cropState.url) URL.revokeObjectURL(zone.cropState.url);
+  zone.cropState = null;
+  zone.querySelector('.image-file-input').value = '';
+  setUploaderError(zone, null);
+  setUploaderStage(zone, 'empty');
+  sendUploaderValue(zone, null);
+}
+
+function buildUploaderButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-sm ${className}`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function bindCropDragging(zone, canvas) {
+  let drag = null;
+  
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!zone.cropState) return;
+    drag = { x: e.clientX, y: e.clientY, rect: cropRect(zone) };
+    canvas.setPointerCapture(e.pointerId);
+  });
+  
+  canvas.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    const { image } = zone.cropState;
+    const scale = drag.rect.width / canvas.clientWidth;
+    
+    // Dragging the picture right moves the crop window left
+    zone.cropState.centerX = (drag.rect.x + drag.rect.width / 2 - (e.clientX - drag.x) * scale) / image.naturalWidth;
+    zone.cropState.centerY = (drag.rect.y + drag.rect.height / 2 - (e.clientY - drag.y) * scale) / image.naturalHeight;
+    drawCropPreview(zone);
+  });
+  
+  ['pointerup', 'pointercancel'].forEach(type => {
+    canvas.addEventListener(type, () => { drag = null; });
+  });
+  
+  canvas.addEventListener('wheel', (e) => {
+    if (!zone.cropState) return;
+    e.preventDefault();
+    const slider = zone.querySelector('.image-crop-zoom');
+    slider.value = Math.min(Math.max(Number(slider.value) - e.deltaY * 0.002, 1), IMAGE_MAX_ZOOM);
+    slider.dispatchEvent(new Event('input'));
+  }, { passive: false });
+}
+
+function initImageUploaders(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
+  
+  const owner = root.closest && root.closest('.image-drop-zone');
+  const zones = owner ? [owner] : Array.from(root.querySelectorAll('.image-drop-zone'));
+  
+  zones.forEach(zone => {
+    if (zone.hasAttribute('data-uploader-ready')) return;
+    zone.setAttribute('data-uploader-ready', 'true');
+    
+    const hint = zone.querySelector('.image-drop-hint');
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = zone.getAttribute('data-types');
+    fileInput.className = 'image-file-input';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files[0]) loadUploaderFile(zone, fileInput.files[0]);
+    });
+    
+    // Drop target - the server-rendered hint moves inside it
+    const target = document.createElement('div');
+    target.className = 'image-drop-target';
+    target.tabIndex = 0;
+    target.setAttribute('role', 'button');
+    target.setAttribute('aria-label', 'Choose shoe image');
+    target.appendChild(hint);
+    
+    const error = document.createElement('div');
+    error.className = 'image-drop-error';
+    error.setAttribute('role', 'alert');
+    error.hidden = true;
+    
+    target.addEventListener('click', () => fileInput.click());
+    target.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        fileInput.click();
+      }
+    });
+    ['dragenter', 'dragover'].forEach(type => {
+      target.addEventListener(type, (e) => {
+        e.preventDefault();
+        target.classList.add('drag-over');
+      });
+    });
+    ['dragleave', 'drop'].forEach(type => {
+      target.addEventListener(type, () => target.classList.remove('drag-over'));
+    });
+    target.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (file) loadUploaderFile(zone, file);
+    });
+    
+    // Crop stage: a card-shaped canvas, drag to move, slider/wheel to zoom
+    const cropper = document.createElement('div');
+    cropper.className = 'image-cropper';
+    
+    const canvas = document.createElement('canvas');
+    canvas.className = 'image-crop-canvas';
+    canvas.width = Number(zone.getAttribute('data-width')) / 2;
+    canvas.height = Number(zone.getAttribute('data-height')) / 2;
+    canvas.setAttribute('aria-label', 'Crop preview - drag to reposition');
+    bindCropDragging(zone, canvas);
+    
+    const zoom = document.createElement('input');
+    zoom.type = 'range';
+    zoom.className = 'image-crop-zoom';
+    zoom.min = 1;
+    zoom.max = IMAGE_MAX_ZOOM;
+    zoom.step = 0.05;
+    zoom.value = 1;
+    zoom.setAttribute('aria-label', 'Zoom');
+    zoom.addEventListener('input', () => {
+      if (!zone.cropState) return;
+      zone.cropState.zoom = Number(zoom.value);
+      drawCropPreview(zone);
+    });
+    
+    const cropActions = document.createElement('div');
+    cropActions.className = 'image-uploader-actions';
+    cropActions.append(
+      buildUploaderButton('Discard', 'btn-default', () => clearUploader(zone)),
+      buildUploaderButton('Use this image', 'btn-theme', () => applyCrop(zone))
+    );
+    cropper.append(canvas, zoom, cropActions);
+    
+    // Result stage: exactly what will be sent with Save/Update
+    const result = document.createElement('div');
+    result.className = 'image-result';
+    const preview = document.createElement('img');
+    preview.alt = 'Processed shoe image';
+    const meta = document.createElement('div');
+    meta.className = 'image-result-meta';
+    const resultActions = document.createElement('div');
+    resultActions.className = 'image-uploader-actions';
+    resultActions.append(
+      buildUploaderButton('Adjust crop', 'btn-default', () => setUploaderStage(zone, 'crop')),
+      buildUploaderButton('Remove', 'btn-default', () => clearUploader(zone))
+    );
+    result.append(preview, meta, resultActions);
+    
+    zone.append(target, error, cropper, result, fileInput);
+    setUploaderStage(zone, 'empty');
+    
+    // The input outlives the modal, so a fresh zone starts from nothing
+    sendUploaderValue(zone, null);
+  });
+}
+
+// Pasting an image while a shoe modal is open feeds its drop zone
+function handleImagePaste(e) {
+  const modal = getOpenModals()[0];
+  const zone = modal && modal.querySelector('.image-drop-zone[data-uploader-ready]');
+  if (!zone || !e.clipboardData) return;
+  
+  const item = Array.from(e.clipboardData.items).find(entry =>
+    entry.kind === 'file' && entry.type.startsWith('image/'));
+  if (!item) return;
+  
+  e.preventDefault();
+  loadUploaderFile(zone, item.getAsFile());
+}
+
+function resetImageUploader(inputId) {
+  const zone = document.querySelector(`.image-drop-zone[data-input-id="${inputId}"]`);
+  if (zone && zone.hasAttribute('data-uploader-ready')) clearUploader(zone);
+}
+
+/* =========================================================
+  SHOE FORM VALIDATION
+========================================================= */
+// Add/Edit Shoe modals: colour and size lists become chips, every field gets
+// an inline message, and Save/Update stays disabled until the form is clean.
+// The comma-separated text inputs stay as the values Shiny reads; the server
+// repeats the same checks (shoe_list_problems in app.R).
+function normalizeChipValue(value) {
+  return value.trim().replace(/\s+/g, ' ');
+}
+
+function chipProblems(form, kind, values) {
+  const seen = new Set();
+  const sizeMin = Number(form.getAttribute('data-size-min'));
+  const sizeMax = Number(form.getAttribute('data-size-max'));
+  // Sizes the shoe was saved with stay valid on edit even if out of range
+  const savedSizes = (form.getAttribute('data-original-sizes') || '').split(',');
+  
+  return values.map(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return 'Duplicate';
+    seen.add(key);
+    
+    if (kind === 'sizes' && !savedSizes.includes(value)) {
+      const size = Number(value);
+      if (!/^\d+(\.\d+)?$/.test(value) || size < sizeMin || size > sizeMax || (size * 2) % 1 !== 0) {
+        return `Sizes must be whole or half sizes from ${sizeMin} to ${sizeMax}`;
+      }
+    }
+    return null;
+  });
+}
+
+function buildChipEditor(form, input, kind) {
+  const editor = document.createElement('div');
+  editor.className = 'chip-input';
+  editor.values = input.value.split(',').map(normalizeChipValue).filter(Boolean);
+  
+  const entry = document.createElement('input');
+  entry.type = 'text';
+  entry.className = 'chip-entry';
+  entry.id = `${input.id}_entry`;
+  entry.placeholder = kind === 'colors' ? 'Add a colour…' : 'Add a size…';
+  entry.setAttribute('aria-label', kind === 'colors' ? 'Add colour' : 'Add size');
+  if (kind === 'sizes') entry.inputMode = 'decimal';
+  
+  const sync = () => {
+    const text = editor.values.join(',');
+    if (input.value !== text) {
+      input.value = text;
+      $(input).trigger('change');
+    }
+    renderChips();
+    validateShoeForm(form);
+  };
+  
+  const commitEntry = () => {
+    const added = entry.value.split(',').map(normalizeChipValue).filter(Boolean);
+    entry.value = '';
+    if (!added.length) return;
+    editor.values.push(...added);
+    sync();
+  };
+  
+  const renderChips = () => {
+    const problems = chipProblems(form, kind, editor.values);
+    editor.querySelectorAll('.chip').forEach(chip => chip.remove());
+    
+    editor.values.forEach((value, i) => {
+      const chip = document.createElement('span');
+      chip.className = problems[i] ? 'chip invalid' : 'chip';
+      chip.title = problems[i] || 'Double-click to edit';
+      
+      const text = document.createElement('span');
+      text.textContent = value;
+      
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'chip-remove';
+      remove.setAttribute('aria-label', `Remove ${value}`);
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        editor.values.splice(i, 1);
+        sync();
+        entry.focus();
+      });
+      
+      // Double-click puts the value back into the entry box for editing
+      chip.addEventListener('dblclick', () => {
+        commitEntry();
+        editor.values.splice(editor.values.indexOf(value), 1);
+        entry.value = value;
+        sync();
+        entry.focus();
+      });
+      
+      chip.append(text, remove);
+      editor.insertBefore(chip, entry);
+    });
+  };
+  
+  entry.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      commitEntry();
+    } else if (e.key === 'Backspace' && !entry.value && editor.values.length) {
+      editor.values.pop();
+      sync();
+    }
+  });
+  // Pasted "7,8,9" lands as three chips
+  entry.addEventListener('input', () => {
+    if (entry.value.includes(',')) commitEntry();
+  });
+  entry.addEventListener('blur', commitEntry);
+  editor.addEventListener('click', (e) => {
+    if (e.target === editor) entry.focus();
+  });
+  
+  editor.appendChild(entry);
+  editor.commitEntry = commitEntry;
+  
+  input.classList.add('chip-source');
+  input.insertAdjacentElement('afterend', editor);
+  const label = form.querySelector(`label[for="${input.id}"]`);
+  if (label) label.setAttribute('for', entry.id);
+  
+  // Tidy "8,,9" / " Red " in the source right away
+  sync();
+  return editor;
+}
+
+function setFieldFeedback(input, type, message) {
+  const group = input.closest('.form-group') || input.parentElement;
+  let feedback = group.nextElementSibling;
+  if (!feedback || !feedback.classList.contains('field-feedback')) {
+    feedback = document.createElement('div');
+    feedback.className = 'field-feedback';
+    feedback.setAttribute('aria-live', 'polite');
+    group.insertAdjacentElement('afterend', feedback);
+  }
+  
+  feedback.textContent = message || '';
+  feedback.setAttribute('data-type', message ? type : '');
+  group.classList.toggle('has-error', type === 'error' && !!message);
+  group.classList.toggle('has-warning', type === 'warning' && !!message);
+}
+
+// Ratio check for "did you mean to do that?" edits, e.g. 1500 -> 15000
+function unusualChange(before, after, factor) {
+  if (!(before > 0) || !(after > 0)) return false;
+  return after / before > factor || before / after > factor;
+}
+
+function validateShoeForm(form) {
+  const fields = form.shoeFields;
+  // Still building the chip editors
+  if (!fields || !fields.colorsEditor || !fields.sizesEditor) return;
+  
+  const editing = form.getAttribute('data-mode') === 'edit';
+  const factor = Number(form.getAttribute('data-warn-factor')) || 2;
+  let valid = true;
+  
+  const name = fields.name.value.trim();
+  setFieldFeedback(fields.name, 'error', name ? null : 'Shoe name is required');
+  valid = valid && !!name;
+  
+  const price = parseFloat(fields.price.value);
+  const originalPrice = parseFloat(form.getAttribute('data-original-price'));
+  if (!(price > 0)) {
+    setFieldFeedback(fields.price, 'error', 'Price must be greater than 0');
+    valid = false;
+  } else if (editing && unusualChange(originalPrice, price, factor)) {
+    setFieldFeedback(fields.price, 'warning',
+      `Price changes from ${formatNumber(originalPrice, 'currency')} to ${formatNumber(price, 'currency')} - please double-check`);
+  } else {
+    setFieldFeedback(fields.price, null, null);
+  }
+  
+  const stock = Number(fields.stock.value);
+  const originalStock = parseFloat(form.getAttribute('data-original-stock'));
+  if (fields.stock.value === '' || !Number.isInteger(stock) || stock < 0) {
+    setFieldFeedback(fields.stock, 'error', 'Stock must be a whole number, 0 or more');
+    valid = false;
+  } else if (editing && stock === 0 && originalStock > 0) {
+    setFieldFeedback(fields.stock, 'warning', 'Stock set to 0 - customers will see this shoe as sold out');
+  } else if (editing && unusualChange(originalStock, stock, factor)) {
+    setFieldFeedback(fields.stock, 'warning',
+      `Stock changes from ${formatNumber(originalStock, 'integer')} to ${formatNumber(stock, 'integer')} - please double-check`);
+  } else {
+    setFieldFeedback(fields.stock, null, null);
+  }
+  
+  ['colors', 'sizes'].forEach(kind => {
+    const editor = fields[`${kind}Editor`];
+    const problems = chipProblems(form, kind, editor.values).filter(Boolean);
+    const label = kind === 'colors' ? 'colour' : 'size';
+    let message = null;
+    
+    if (problems.includes('Duplicate')) {
+      message = `Each ${label} can only be listed once`;
+    } else if (problems.length) {
+      message = problems[0];
+    } else if (!editor.values.length && editing) {
+      message = `Add at least one ${label}`;
+    }
+    
+    setFieldFeedback(fields[kind], 'error', message);
+    valid = valid && !message;
+  });
+  
+  const submit = document.getElementById(form.getAttribute('data-submit'));
+  if (submit) submit.disabled = !valid;
+}
+
+function initShoeForms(root = document) {
+  if (!root || !root.querySelectorAll) root = document;
+  
+  const owner = root.closest && root.closest('.shoe-form');
+  const forms = owner ? [owner] : Array.from(root.querySelectorAll('.shoe-form'));
+  
+  forms.forEach(form => {
+    if (form.hasAttribute('data-validation-ready')) return;
+    
+    const prefix = form.getAttribute('data-mode') === 'new' ? 'new_shoe_' : 'edit_shoe_';
+    const field = name => form.querySelector(`#${prefix}${name}`);
+    const fields = {
+      name: field('name'),
+      price: field('price'),
+      stock: field('stock'),
+      colors: field('colors'),
+      sizes: field('sizes')
+    };
+    if (Object.values(fields).some(el => !el)) return;
+    
+    form.setAttribute('data-validation-ready', 'true');
+    form.shoeFields = fields;
+    fields.colorsEditor = buildChipEditor(form, fields.colors, 'colors');
+    fields.sizesEditor = buildChipEditor(form, fields.sizes, 'sizes');
+    
+    [fields.name, fields.price, fields.stock].forEach(input => {
+      input.addEventListener('input', () => validateShoeForm(form));
+    });
+    
+    // A half-typed chip still counts when Save is clicked
+    const submit = document.getElementById(form.getAttribute('data-submit'));
+    if (submit) {
+      submit.addEventListener('pointerdown', () => {
+        fields.colorsEditor.commitEntry();
+        fields.sizesEditor.commitEntry();
+      });
+    }
+    
+    validateShoeForm(form);
+  });
+}
+
+/* =========================================================
+  PRODUCT QUICK VIEW
+========================================================= */
+// Lightbox opened from a product card image. It opens straight away with the
+// card's own image, then the server's shoeGallery message fills in the rest.
+// Only the image on screen (and its neighbours, once it's loaded) is fetched.
+const QUICK_VIEW_MAX_ZOOM = 4;
+const QUICK_VIEW_SWIPE_DISTANCE = 50;
+
+let quickView = null;
+
+function buildQuickViewButton(className, labelKey, text) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  setI18nAttr(button, 'aria-label', labelKey);
+  button.textContent = text;
+  return button;
+}
+
+function ensureQuickView() {
+  let overlay = document.getElementById('quick_view');
+  if (overlay) return overlay;
+  
+  overlay = document.createElement('div');
+  overlay.id = 'quick_view';
+  overlay.className = 'quick-view';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'quick_view_title');
+  overlay.hidden = true;
+  
+  const panel = document.createElement('div');
+  panel.className = 'quick-view-panel';
+  
+  const close = buildQuickViewButton('quick-view-close', 'products.close', '×');
+  close.addEventListener('click', closeQuickView);
+  
+  // Stage: the current image, prev/next and the counter
+  const stage = document.createElement('div');
+  stage.className = 'quick-view-stage';
+  
+  const image = document.createElement('img');
+  image.className = 'quick-view-image';
+  image.draggable = false;
+  image.addEventListener('load', () => {
+    stage.classList.remove('loading');
+    preloadQuickViewNeighbours();
+  });
+  image.addEventListener('error', () => {
+    stage.classList.remove('loading');
+    if (!image.src.endsWith('default_shoe_image.jpg')) image.src = 'default_shoe_image.jpg';
+  });
+  
+  const prev = buildQuickViewButton('quick-view-nav prev', 'products.previous_image', '‹');
+  const next = buildQuickViewButton('quick-view-nav next', 'products.next_image', '›');
+  prev.addEventListener('click', () => showQuickViewImage(quickView.index - 1));
+  next.addEventListener('click', () => showQuickViewImage(quickView.index + 1));
+  
+  const counter = document.createElement('div');
+  counter.className = 'quick-view-counter';
+  counter.setAttribute('aria-live', 'polite');
+  
+  stage.append(image, prev, next, counter);
+  bindQuickViewGestures(stage);
+  
+  const zoomControls = document.createElement('div');
+  zoomControls.className = 'quick-view-zoom';
+  [['-', 'products.zoom_out', '−', 1 / 1.5], ['0', 'products.zoom_reset', '1:1', 0], ['+', 'products.zoom_in', '+', 1.5]].forEach(([key, labelKey, text, factor]) => {
+    const button = buildQuickViewButton('quick-view-zoom-btn', labelKey, text);
+    button.title = `${t(labelKey)} (${key})`;
+    button.addEventListener('click', () => {
+      setQuickViewZoom(factor ? quickView.zoom * factor : 1);
+    });
+    zoomControls.appendChild(button);
+  });
+  
+  const thumbs = document.createElement('div');
+  thumbs.className = 'quick-view-thumbs';
+  
+  // Details alongside the gallery
+  const info = document.createElement('div');
+  info.className = 'quick-view-info';
+  const title = document.createElement('h3');
+  title.id = 'quick_view_title';
+  const price = document.createElement('div');
+  price.className = 'quick-view-price';
+  const details = document.createElement('dl');
+  details.className = 'quick-view-details';
+  const addToCart = document.createElement('button');
+  addToCart.type = 'button';
+  addToCart.className = 'btn btn-theme quick-view-add';
+  setI18nText(addToCart, 'products.add_to_cart');
+  addToCart.addEventListener('click', () => {
+    const shoeId = quickView.shoeId;
+    closeQuickView();
+    if (window.Shiny && Shiny.setInputValue) {
+      Shiny.setInputValue('show_cart_modal', shoeId, { priority: 'event' });
+    }
+  });
+  info.append(title, price, details, addToCart);
+  
+  const gallery = document.createElement('div');
+  gallery.className = 'quick-view-gallery';
+  gallery.append(stage, zoomControls, thumbs);
+  
+  panel.append(close, gallery, info);
+  overlay.appendChild(panel);
+  
+  // Clicking the dimmed area around the panel closes it
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeQuickView();
+  });
+  overlay.addEventListener('keydown', handleQuickViewKeys);
+  
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+function openQuickView(trigger) {
+  const card = trigger.closest('.card');
+  const overlay = ensureQuickView();
+  const cardImage = trigger.querySelector('img');
+  
+  quickView = {
+    shoeId: trigger.getAttribute('data-shoe-id'),
+    images: [{ src: cardImage ? cardImage.getAttribute('src') : 'default_shoe_image.jpg', alt: '' }],
+    index: 0,
+    zoom: 1,
+    panX: 0,
+    panY: 0,
+    returnFocus: trigger
+  };
+  
+  fillQuickViewInfo({
+    name: card ? card.getAttribute('data-name') : '',
+    price: card ? Number(card.getAttribute('data-price')) : null,
+    stock: card ? Number(card.getAttribute('data-stock')) : null,
+    colors: card ? card.getAttribute('data-colors') : '',
+    sizes: card ? card.getAttribute('data-sizes') : ''
+  });
+  
+  overlay.hidden = false;
+  document.body.classList.add('quick-view-open');
+  renderQuickViewThumbs();
+  showQuickViewImage(0);
+  overlay.querySelector('.quick-view-close').focus();
+  
+  if (window.Shiny && Shiny.setInputValue) {
+    Shiny.setInputValue('quick_view_shoe', quickView.shoeId, { priority: 'event' });
+  }
+}
+
+function handleShoeGallery(message) {
+  // Ignore a slow reply for a shoe the customer has already moved away from
+  if (!quickView || String(message.shoeId) !== String(quickView.shoeId)) return;
+  
+  quickView.images = (message.images || []).length ? message.images : quickView.images;
+  fillQuickViewInfo(message);
+  renderQuickViewThumbs();
+  showQuickViewImage(Math.min(quickView.index, quickView.images.length - 1));
+}
+
+function fillQuickViewInfo(shoe) {
+  const overlay = ensureQuickView();
+  overlay.querySelector('#quick_view_title').textContent = shoe.name || '';
+  overlay.querySelector('.quick-view-price').textContent =
+    shoe.price === null || shoe.price === undefined ? '' : formatNumber(shoe.price, 'currency');
+  
+  const details = overlay.querySelector('.quick-view-details');
+  details.replaceChildren();
+  [['products.colors', shoe.colors], ['products.sizes', shoe.sizes], ['products.stock', shoe.stock]].forEach(([labelKey, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    const term = document.createElement('dt');
+    setI18nText(term, labelKey);
+    const description = document.createElement('dd');
+    description.textContent = typeof value === 'number' ?
+      formatNumber(value, 'integer') : String(value).split(',').map(v => v.trim()).join(', ');
+    details.append(term, description);
+  });
+}
+
+function renderQuickViewThumbs() {
+  const overlay = ensureQuickView();
+  const thumbs = overlay.querySelector('.quick-view-thumbs');
+  thumbs.replaceChildren();
+  thumbs.hidden = quickView.images.length < 2;
+  
+  quickView.images.forEach((image, i) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'quick-view-thumb';
+    button.setAttribute('aria-label', t('products.show_image', { number: i + 1 }));
+    
+    const thumb = document.createElement('img');
+    thumb.loading = 'lazy';
+    thumb.alt = '';
+    thumb.src = image.src;
+    thumb.addEventListener('error', () => {
+      thumb.src = 'default_shoe_image.jpg';
+    }, { once: true });
+    
+    button.appendChild(thumb);
+    button.addEventListener('click', () => showQuickViewImage(i));
+    thumbs.appendChild(button);
+  });
+  
+  overlay.querySelectorAll('.quick-view-nav').forEach(button => {
+    button.hidden = quickView.images.length < 2;
+  });
+}
+
+function showQuickViewImage(index) {
+  const overlay = ensureQuickView();
+  const count = quickView.images.length;
+  quickView.index = (index + count) % count;
+  
+  const current = quickView.images[quickView.index];
+  const image = overlay.querySelector('.quick-view-image');
+  if (image.getAttribute('src') !== current.src) {
+    overlay.querySelector('.quick-view-stage').classList.add('loading');
+    image.src = current.src;
+  }
+  image.alt = current.alt || overlay.querySelector('#quick_view_title').textContent;
+  
+  overlay.querySelector('.quick-view-counter').textContent = count > 1 ? `${quickView.index + 1} / ${count}` : '';
+  overlay.querySelectorAll('.quick-view-thumb').forEach((thumb, i) => {
+    thumb.setAttribute('aria-current', i === quickView.index ? 'true' : 'false');
+  });
+  
+  setQuickViewZoom(1);
+}
+
+function preloadQuickViewNeighbours() {
+  if (!quickView || quickView.images.length < 2) return;
+  const count = quickView.images.length;
+  [quickView.index + 1, quickView.index - 1].forEach(i => {
+    new Image().src = quickView.images[(i + count) % count].src;
+  });
+}
+
+function setQuickViewZoom(zoom, panX = quickView.panX, panY = quickView.panY) {
+  const overlay = ensureQuickView();
+  const stage = overlay.querySelector('.quick-view-stage');
+  
+  quickView.zoom = Math.min(Math.max(zoom, 1), QUICK_VIEW_MAX_ZOOM);
+  
+  // The image may not be dragged so far that the stage shows past its edges
+  const maxX = (quickView.zoom - 1) * stage.clientWidth / 2;
+  const maxY = (quickView.zoom - 1) * stage.clientHeight / 2;
+  quickView.panX = Math.min(Math.max(panX, -maxX), maxX);
+  quickView.panY = Math.min(Math.max(panY, -maxY), maxY);
+  
+  overlay.querySelector('.quick-view-image').style.transform =
+    `translate(${quickView.panX}px, ${quickView.panY}px) scale(${quickView.zoom})`;
+  stage.classList.toggle('zoomed', quickView.zoom > 1);
+}
+
+function bindQuickViewGestures(stage) {
+  const pointers = new Map();
+  let gesture = null;
+  
+  const distance = () => {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+  
+  stage.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('button')) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    stage.setPointerCapture(e.pointerId);
+    
+    gesture = pointers.size === 2 ?
+      { type: 'pinch', distance: distance(), zoom: quickView.zoom } :
+      { type: 'drag', x: e.clientX, y: e.clientY, panX: quickView.panX, panY: quickView.panY };
+  });
+  
+  stage.addEventListener('pointermove', (e) => {
+    if (!gesture || !pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    
+    if (gesture.type === 'pinch' && pointers.size === 2) {
+      setQuickViewZoom(gesture.zoom * distance() / gesture.distance);
+    } else if (gesture.type === 'drag' && quickView.zoom > 1) {
+      setQuickViewZoom(quickView.zoom, gesture.panX + e.clientX - gesture.x, gesture.panY + e.clientY - gesture.y);
+    }
+  });
+  
+  const endPointer = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    
+    // A horizontal flick on an unzoomed image changes image
+    if (gesture && gesture.type === 'drag' && quickView.zoom === 1) {
+      const dx = e.clientX - gesture.x;
+      if (Math.abs(dx) > QUICK_VIEW_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(e.clientY - gesture.y)) {
+        showQuickViewImage(quickView.index + (dx < 0 ? 1 : -1));
+      }
+    }
+    gesture = null;
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+  
+  stage.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    setQuickViewZoom(quickView.zoom * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+  }, { passive: false });
+  
+  stage.addEventListener('dblclick', () => {
+    setQuickViewZoom(quickView.zoom > 1 ? 1 : 2, 0, 0);
+  });
+}
+
+function handleQuickViewKeys(e) {
+  if (!quickView) return;
+  
+  switch (e.key) {
+    case 'Escape':
+      closeQuickView();
+      break;
+    case 'ArrowLeft':
+      showQuickViewImage(quickView.index - 1);
+      break;
+    case 'ArrowRight':
+      showQuickViewImage(quickView.index + 1);
+      break;
+    case '+':
+    case '=':
+      setQuickViewZoom(quickView.zoom * 1.5);
+      break;
+    case '-':
+      setQuickViewZoom(quickView.zoom / 1.5);
+      break;
+    case '0':
+      setQuickViewZoom(1, 0, 0);
+      break;
+    case 'Tab': {
+      // Keep focus inside the dialog
+      const focusable = Array.from(e.currentTarget.querySelectorAll('button:not([hidden])'))
+        .filter(el => el.offsetParent !== null);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        first.focus();
+      } else {
+        return;
+      }
+      break;
+    }
+    default:
+      return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function closeQuickView() {
+  const overlay = document.getElementById('quick_view');
+  if (!overlay || overlay.hidden) return;
+  
+  overlay.hidden = true;
+  document.body.classList.remove('quick-view-open');
+  
+  const returnFocus = quickView && quickView.returnFocus;
+  quickView = null;
+  if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+}
+
+/* =========================================================
+  ORDER RECEIPTS (PRINT & PDF)
+========================================================= */
+// The receipt arrives as JSON on .receipt-actions (receipt_actions in app.R).
+// Print uses a print-only copy of the receipt; the PDF is drawn on canvas
+// (so ₱ and any product name render with the system font) and wrapped as
+// JPEG pages in a minimal PDF file - no external library or service.
+const RECEIPT_STORE_NAME = 'PJM Shoe Ordering System';
+const RECEIPT_PAGE = { width: 1240, height: 1754, margin: 100 };  // A4 at 150 dpi
+const RECEIPT_ROW_HEIGHT = 44;
+// Column headings are the receipt.column.<key> catalog entries
+const RECEIPT_COLUMNS = [
+  { key: 'name', x: 100, width: 400, align: 'left' },
+  { key: 'color', x: 510, width: 170, align: 'left' },
+  { key: 'size', x: 690, width: 70, align: 'left' },
+  { key: 'quantity', x: 840, align: 'right' },
+  { key: 'price', x: 1000, align: 'right' },
+  { key: 'total', x: 1140, align: 'right' }
+];
+
+function readReceipt(el) {
+  const holder = el.closest('[data-receipt]');
+  if (!holder) return null;
+  
+  try {
+    const receipt = JSON.parse(holder.getAttribute('data-receipt'));
+    receipt.items = (receipt.items || []).map(item => Object.assign({}, item, {
+      total: Number(item.price) * Number(item.quantity)
+    }));
+    return receipt;
+  } catch (e) {
+    console.log('Receipt data error:', e);
+    return null;
+  }
+}
+
+function receiptCell(item, key) {
+  if (key === 'price' || key === 'total') return formatNumber(item[key], 'currency');
+  if (key === 'quantity') return formatNumber(item[key], 'integer');
+  return item[key] === null || item[key] === undefined ? '' : String(item[key]);
+}
+
+function receiptMeta(receipt) {
+  const date = parseServerDate(receipt.createdAt);
+  const status = getStatus(receipt.status);
+  return [
+    [t('receipt.track_id'), receipt.trackId],
+    [t('receipt.order_date'), date ? formatAbsoluteDate(date) : receipt.createdAt],
+    [t('receipt.status'), status ? status.label : receipt.status],
+    [t('receipt.customer'), receipt.customer]
+  ];
+}
+
+function buildReceiptElement(receipt) {
+  const sheet = document.createElement('article');
+  sheet.className = 'receipt-sheet';
+  
+  const header = document.createElement('header');
+  const store = document.createElement('h1');
+  store.textContent = RECEIPT_STORE_NAME;
+  const title = document.createElement('h2');
+  title.textContent = t('receipt.title', { track_id: receipt.trackId });
+  header.append(store, title);
+  
+  const meta = document.createElement('dl');
+  meta.className = 'receipt-meta';
+  receiptMeta(receipt).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    meta.append(term, description);
+  });
+  
+  const table = document.createElement('table');
+  table.className = 'receipt-items';
+  const headRow = table.createTHead().insertRow();
+  RECEIPT_COLUMNS.forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = t(`receipt.column.${column.key}`);
+    th.className = `align-${column.align}`;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  receipt.items.forEach(item => {
+    const row = body.insertRow();
+    RECEIPT_COLUMNS.forEach(column => {
+      const cell = row.insertCell();
+      cell.textContent = receiptCell(item, column.key);
+      cell.className = `align-${column.align}`;
+    });
+  });
+  const footRow = table.createTFoot().insertRow();
+  const label = footRow.insertCell();
+  label.colSpan = RECEIPT_COLUMNS.length - 1;
+  label.className = 'align-right';
+  label.textContent = t('receipt.order_total');
+  const total = footRow.insertCell();
+  total.className = 'align-right';
+  total.textContent = formatNumber(receipt.total, 'currency');
+  
+  const thanks = document.createElement('p');
+  thanks.className = 'receipt-thanks';
+  thanks.textContent = t('receipt.thanks');
+  
+  sheet.append(header, meta, table, thanks);
+  return sheet;
+}
+
+// Prints just the given sheets - everything else on the page is hidden by the
+// body.printing-receipt print rules in styles.css
+function printSheets(sheets) {
+  let holder = document.getElementById('receipt_print');
+  if (!holder) {
+    holder = document.createElement('div');
+    holder.id = 'receipt_print';
+    document.body.appendChild(holder);
+  }
+  holder.replaceChildren(...sheets);
+  
+  document.body.classList.add('printing-receipt');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-receipt');
+  }, { once: true });
+  window.print();
+}
+
+function printReceipt(receipt) {
+  printSheets([buildReceiptElement(receipt)]);
+}
+
+function fitCanvasText(context, text, width) {
+  if (!width || context.measureText(text).width <= width) return text;
+  let fitted = text;
+  while (fitted.length > 1 && context.measureText(`${fitted}…`).width > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+function drawReceiptTableHeader(context, y) {
+  context.font = 'bold 22px Arial, sans-serif';
+  context.fillStyle = '#1a1a1a';
+  RECEIPT_COLUMNS.forEach(column => {
+    context.textAlign = column.align;
+    context.fillText(t(`receipt.column.${column.key}`), column.x, y);
+  });
+  context.fillRect(RECEIPT_PAGE.margin, y + 14, RECEIPT_PAGE.width - RECEIPT_PAGE.margin * 2, 2);
+  return y + RECEIPT_ROW_HEIGHT + 6;
+}
+
+// One canvas per A4 page; the item table carries on over as many pages as needed
+function drawReceiptPages(receipt) {
+  const { width, height, margin } = RECEIPT_PAGE;
+  const bottom = height - margin - 80;
+  const pages = [];
+  let context = null;
+  let y = 0;
+  
+  const newPage = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.textBaseline = 'alphabetic';
+    pages.push(canvas);
+    
+    if (pages.length === 1) {
+      context.fillStyle = '#e63946';
+      context.fillRect(0, 0, width, 16);
+      context.fillStyle = '#1a1a1a';
+      context.textAlign = 'left';
+      context.font = 'bold 44px Arial, sans-serif';
+      context.fillText(RECEIPT_STORE_NAME, margin, 140);
+      context.font = '30px Arial, sans-serif';
+      context.fillText(t('receipt.title', { track_id: receipt.trackId }), margin, 195);
+      
+      y = 270;
+      receiptMeta(receipt).forEach(([label, value]) => {
+        context.font = 'bold 24px Arial, sans-serif';
+        context.fillText(label, margin, y);
+        context.font = '24px Arial, sans-serif';
+        context.fillText(String(value || ''), margin + 200, y);
+        y += 40;
+      });
+      y += 40;
+    } else {
+      context.font = '22px Arial, sans-serif';
+      context.fillStyle = '#666666';
+      context.textAlign = 'left';
+      context.fillText(t('receipt.continued', { track_id: receipt.trackId }), margin, 130);
+      y = 200;
+    }
+    y = drawReceiptTableHeader(context, y);
+  };
+  
+  newPage();
+  receipt.items.forEach(item => {
+    if (y > bottom) newPage();
+    context.font = '22px Arial, sans-serif';
+    context.fillStyle = '#1a1a1a';
+    RECEIPT_COLUMNS.forEach(column => {
+      context.textAlign = column.align;
+      context.fillText(fitCanvasText(context, receiptCell(item, column.key), column.width), column.x, y);
+    });
+    context.fillStyle = '#e0e0e0';
+    context.fillRect(margin, y + 14, width - margin * 2, 1);
+    y += RECEIPT_ROW_HEIGHT;
+  });
+  
+  if (y + 140 > bottom) newPage();
+  context.fillStyle = '#1a1a1a';
+  context.fillRect(margin, y - 10, width - margin * 2, 2);
+  context.textAlign = 'right';
+  context.font = 'bold 28px Arial, sans-serif';
+  context.fillText(t('receipt.order_total'), RECEIPT_COLUMNS[4].x, y + 35);
+  context.fillStyle = '#e63946';
+  context.fillText(formatNumber(receipt.total, 'currency'), RECEIPT_COLUMNS[5].x, y + 35);
+  context.fillStyle = '#666666';
+  context.textAlign = 'left';
+  context.font = 'italic 22px Arial, sans-serif';
+  context.fillText(t('receipt.thanks'), margin, y + 110);
+  
+  pages.forEach((canvas, i) => {
+    const pageContext = canvas.getContext('2d');
+    pageContext.font = '18px Arial, sans-serif';
+    pageContext.fillStyle = '#999999';
+    pageContext.textAlign = 'right';
+    pageContext.fillText(`Page ${i + 1} of ${pages.length}`, width - margin, height - margin + 20);
+  });
+  
+  return pages;
+}
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Smallest useful PDF: one full-page JPEG image per page
+function buildImagePdf(canvases) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (id) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+  };
+  
+  const pageWidth = 595.28;
+  const pageHeight = 841.89;
+  const pageIds = canvases.map((canvas, i) => 3 + i * 3);
+  
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+  
+  startObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${canvases.length} >>\nendobj\n`);
+  
+  canvases.forEach((canvas, i) => {
+    const pageId = pageIds[i];
+    const jpeg = dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+    
+    startObject(pageId);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+          `/Resources << /XObject << /Im0 ${pageId + 1} 0 R >> >> /Contents ${pageId + 2} 0 R >>\nendobj\n`);
+    
+    startObject(pageId + 1);
+    write(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+    write(jpeg);
+    write('\nendstream\nendobj\n');
+    
+    startObject(pageId + 2);
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+  });
+  
+  const objectCount = 3 + canvases.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadReceiptPdf(receipt) {
+  try {
+    downloadBlob(buildImagePdf(drawReceiptPages(receipt)), `receipt-${receipt.trackId}.pdf`);
+  } catch (e) {
+    console.log('Receipt PDF error:', e);
+    showToast(t('receipt.pdf_failed'), 'error');
+  }
+}
+
+/* =========================================================
+  PACKING SLIPS (STAFF)
+========================================================= */
+// One slip per order from the packingSlips message, each on its own page,
+// with a tick box per line for whoever picks the shoes off the shelf
+function buildPackingSlip(order) {
+  const slip = document.createElement('article');
+  slip.className = 'receipt-sheet packing-slip';
+  
+  const header = document.createElement('header');
+  const store = document.createElement('h1');
+  store.textContent = `Packing Slip - ${order.trackId}`;
+  const subtitle = document.createElement('h2');
+  subtitle.textContent = RECEIPT_STORE_NAME;
+  header.append(store, subtitle);
+  
+  const meta = document.createElement('dl');
+  meta.className = 'receipt-meta';
+  receiptMeta(order).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    meta.append(term, description);
+  });
+  
+  const table = document.createElement('table');
+  table.className = 'receipt-items';
+  const headRow = table.createTHead().insertRow();
+  [['', 'align-center picked-column'], ['Product', 'align-left'], ['Color', 'align-left'],
+   ['Size', 'align-left'], ['Qty', 'align-right']].forEach(([label, className]) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    th.className = className;
+    headRow.appendChild(th);
+  });
+  
+  const body = table.createTBody();
+  let units = 0;
+  order.items.forEach(item => {
+    units += Number(item.quantity) || 0;
+    const row = body.insertRow();
+    
+    const picked = row.insertCell();
+    picked.className = 'align-center picked-column';
+    const box = document.createElement('span');
+    box.className = 'pick-box';
+    box.setAttribute('aria-label', 'Picked');
+    picked.appendChild(box);
+    
+    ['name', 'color', 'size', 'quantity'].forEach(key => {
+      const cell = row.insertCell();
+      cell.textContent = receiptCell(item, key);
+      cell.className = key === 'quantity' ? 'align-right' : 'align-left';
+    });
+  });
+  
+  const footRow = table.createTFoot().insertRow();
+  const label = footRow.insertCell();
+  label.colSpan = 4;
+  label.className = 'align-right';
+  label.textContent = 'Total units';
+  const total = footRow.insertCell();
+  total.className = 'align-right';
+  total.textContent = formatNumber(units, 'integer');
+  
+  const signatures = document.createElement('div');
+  signatures.className = 'packing-signatures';
+  ['Picked by', 'Packed by', 'Checked by'].forEach(text => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    signatures.appendChild(line);
+  });
+  
+  slip.append(header, meta, table, signatures);
+  return slip;
+}
+
+function printPackingSlips(orders) {
+  if (!Array.isArray(orders) || !orders.length) return;
+  printSheets(orders.map(order => buildPackingSlip(Object.assign({}, order, {
+    items: order.items || []
+  }))));
+}
+
+/* =========================================================
+  SALES CHARTS (STAFF)
+========================================================= */
+// Plain SVG charts for the Sales Report, fed by the salesCharts message.
+// Styling is written as SVG attributes rather than CSS so an exported SVG/PNG
+// looks exactly like the chart on screen.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_SIZE = { width: 640, height: 320 };
+const CHART_PADDING = { top: 20, right: 20, bottom: 50, left: 70 };
+const CHART_FONT = 'Arial, Helvetica, sans-serif';
+const DEFAULT_CHART_COLORS = {
+  background: '#ffffff', primary: '#e63946', secondary: '#1abc9c', text: '#333333', muted: '#999999', grid: '#e0e0e0'
+};
+const SALES_GROUPINGS = { day: 'Day', week: 'Week', month: 'Month' };
+
+let salesChartData = null;
+let salesChartState = { grouping: 'day', topMetric: 'revenue' };
+let CHART_COLORS = DEFAULT_CHART_COLORS;
+
+function svgElement(tag, attrs = {}, text = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+// The theme's --chart-* properties, written into the SVG as plain colours
+// so the exported PNG/SVG matches what is on screen
+function readChartColors() {
+  const style = getComputedStyle(document.documentElement);
+  const colors = {};
+  Object.keys(DEFAULT_CHART_COLORS).forEach(name => {
+    colors[name] = style.getPropertyValue(`--chart-${name}`).trim() || DEFAULT_CHART_COLORS[name];
+  });
+  return colors;
+}
+
+function createChartSvg(title) {
+  const svg = svgElement('svg', {
+    xmlns: SVG_NS,
+    viewBox: `0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}`,
+    width: CHART_SIZE.width,
+    height: CHART_SIZE.height,
+    role: 'img',
+    'aria-label': title,
+    'font-family': CHART_FONT
+  });
+  svg.appendChild(svgElement('rect', { width: '100%', height: '100%', fill: CHART_COLORS.background }));
+  return svg;
+}
+
+// "YYYY-MM-DD" as a UTC date, so grouping never drifts across a day boundary
+function parseChartDate(value) {
+  const [y, m, d] = String(value).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function chartBucket(date, grouping) {
+  if (grouping === 'month') {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return { key: start.toISOString().slice(0, 7), label: getDateFormatter('chart-month').format(start) };
+  }
+  if (grouping === 'week') {
+    // Weeks start on Monday
+    const start = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * 86400000);
+    return { key: start.toISOString().slice(0, 10), label: t('sales.week_of', { date: getDateFormatter('chart-day').format(start) }) };
+  }
+  return { key: date.toISOString().slice(0, 10), label: getDateFormatter('chart-day').format(date) };
+}
+
+// Every day/week/month in the filter range, including the ones with no sales
+function groupDailySales(data, grouping) {
+  const buckets = new Map();
+  const end = parseChartDate(data.end);
+  
+  for (let day = parseChartDate(data.start); day <= end; day = new Date(day.getTime() + 86400000)) {
+    const bucket = chartBucket(day, grouping);
+    if (!buckets.has(bucket.key)) buckets.set(bucket.key, { label: bucket.label, revenue: 0, orders: 0 });
+  }
+  
+  (data.daily || []).forEach(row => {
+    const bucket = buckets.get(chartBucket(parseChartDate(row.date), grouping).key);
+    if (!bucket) return;
+    bucket.revenue += Number(row.revenue) || 0;
+    bucket.orders += Number(row.orders) || 0;
+  });
+  
+  return Array.from(buckets.values());
+}
+
+function niceChartMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(n => n * magnitude >= value);
+  return step * magnitude;
+}
+
+function drawEmptyChart(svg, message) {
+  svg.appendChild(svgElement('text', {
+    x: CHART_SIZE.width / 2,
+    y: CHART_SIZE.height / 2,
+    'text-anchor': 'middle',
+    'font-size': 16,
+    fill: CHART_COLORS.muted
+  }, message));
+}
+
+function drawRevenueChart(svg, buckets) {
+  if (!buckets.some(b => b.revenue > 0)) {
+    drawEmptyChart(svg, 'No completed sales in this period');
+    return;
+  }
+  
+  const { width, height } = CHART_SIZE;
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+  const max = niceChartMax(Math.max(...buckets.map(b => b.revenue)));
+  const y = value => CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+  
+  // Gridlines and y-axis labels
+  for (let i = 0; i <= 4; i++) {
+    const value = (max / 4) * i;
+    svg.appendChild(svgElement('line', {
+      x1: CHART_PADDING.left, x2: width - CHART_PADDING.right,
+      y1: y(value), y2: y(value),
+      stroke: CHART_COLORS.grid, 'stroke-width': 1
+    }));
+    svg.appendChild(svgElement('text', {
+      x: CHART_PADDING.left - 8, y: y(value) + 4,
+      'text-anchor': 'end', 'font-size': 11, fill: CHART_COLORS.muted
+    }, formatNumber(value, 'compact-currency')));
+  }
+  
+  const slot = plotWidth / buckets.length;
+  const barWidth = Math.max(Math.min(slot * 0.7, 40), 1);
+  const labelEvery = Math.ceil(buckets.length / 12);
+  
+  buckets.forEach((bucket, i) => {
+    const x = CHART_PADDING.left + slot * i + (slot - barWidth) / 2;
+    const bar = svgElement('rect', {
+      x: x,
+      y: y(bucket.revenue),
+      width: barWidth,
+      height: Math.max(CHART_PADDING.top + plotHeight - y(bucket.revenue), 0),
+      fill: CHART_COLORS.primary,
+      rx: 2,
+      tabindex: 0,
+      'data-tooltip': `${bucket.label}\n${formatNumber(bucket.revenue, 'currency')}\n${formatNumber(bucket.orders, 'integer')} orders`
+    });
+    svg.appendChild(bar);
+    
+    if (i % labelEvery === 0) {
+      svg.appendChild(svgElement('text', {
+        x: x + barWidth / 2, y: height - CHART_PADDING.bottom + 18,
+        'text-anchor': 'middle', 'font-size': 11, fill: CHART_COLORS.text
+      }, bucket.label));
+    }
+  });
+}
+
+function drawTopShoesChart(svg, shoes, metric) {
+  if (!shoes.length) {
+    drawEmptyChart(svg, 'No shoes sold in this period');
+    return;
+  }
+  
+  const { width, height } = CHART_SIZE;
+  const labelWidth = 170;
+  const valueWidth = 90;
+  const top = 15;
+  const rowHeight = Math.min((height - top * 2) / shoes.length, 40);
+  const max = Math.max(...shoes.map(shoe => Number(shoe[metric]) || 0), 1);
+  const barSpace = width - labelWidth - valueWidth - 20;
+  const format = metric === 'revenue' ? 'currency' : 'integer';
+  
+  // The server sends a top 10 per metric; keep that order stable here
+  shoes = shoes.slice().sort((a, b) => (Number(b[metric]) || 0) - (Number(a[metric]) || 0));
+  
+  shoes.forEach((shoe, i) => {
+    const value = Number(shoe[metric]) || 0;
+    const y = top + rowHeight * i;
+    const name = shoe.name.length > 24 ? `${shoe.name.slice(0, 23)}…` : shoe.name;
+    
+    svg.appendChild(svgElement('text', {
+      x: labelWidth - 8, y: y + rowHeight / 2 + 4,
+      'text-anchor': 'end', 'font-size': 12, fill: CHART_COLORS.text
+    }, name));
+    svg.appendChild(svgElement('rect', {
+      x: labelWidth, y: y + rowHeight * 0.15,
+      width: Math.max((value / max) * barSpace, 1), height: rowHeight * 0.7,
+      fill: metric === 'revenue' ? CHART_COLORS.primary : CHART_COLORS.secondary,
+      rx: 2,
+      tabindex: 0,
+      'data-tooltip': `${shoe.name}\n${formatNumber(shoe.revenue, 'currency')}\n${formatNumber(shoe.units, 'integer')} units`
+    }));
+    svg.appendChild(svgElement('text', {
+      x: labelWidth + (value / max) * barSpace + 6, y: y + rowHeight / 2 + 4,
+      'font-size': 11, fill: CHART_COLORS.muted
+    }, formatNumber(value, format === 'currency' ? 'compact-currency' : format)));
+  });
+}
+
+function drawStatusChart(svg, statuses) {
+  const total = statuses.reduce((sum, row) => sum + (Number(row.orders) || 0), 0);
+  if (!total) {
+    drawEmptyChart(svg, 'No orders in this period');
+    return;
+  }
+  
+  const cx = 160;
+  const cy = CHART_SIZE.height / 2;
+  const outer = 120;
+  const inner = 70;
+  let angle = -Math.PI / 2;
+  
+  const point = (radius, a) => `${cx + radius * Math.cos(a)} ${cy + radius * Math.sin(a)}`;
+  
+  statuses.forEach((row, i) => {
+    const count = Number(row.orders) || 0;
+    const status = getStatus(row.status);
+    const color = status ? status.color : CHART_COLORS.muted;
+    const label = status ? status.label : row.status;
+    const share = count / total;
+    const tooltip = `${label}\n${formatNumber(count, 'integer')} orders (${formatNumber(share, 'percent')})\n${formatNumber(row.revenue, 'currency')}`;
+    
+    // A single status is a full ring - an arc can't start and end on the same point
+    const sweep = Math.min(share * Math.PI * 2, Math.PI * 2 - 0.0001);
+    const end = angle + sweep;
+    const large = sweep > Math.PI ? 1 : 0;
+    svg.appendChild(svgElement('path', {
+      d: `M ${point(outer, angle)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} ` +
+         `L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, angle)} Z`,
+      fill: color,
+      stroke: CHART_COLORS.background,
+      'stroke-width': 2,
+      tabindex: 0,
+      'data-tooltip': tooltip
+    }));
+    angle = end;
+    
+    // Legend
+    const ly = 50 + i * 32;
+    svg.appendChild(svgElement('rect', { x: 330, y: ly - 12, width: 16, height: 16, rx: 3, fill: color }));
+    svg.appendChild(svgElement('text', {
+      x: 354, y: ly + 1, 'font-size': 13, fill: CHART_COLORS.text
+    }, `${label}: ${formatNumber(count, 'integer')} (${formatNumber(share, 'percent')})`));
+  });
+  
+  svg.appendChild(svgElement('text', {
+    x: cx, y: cy + 2, 'text-anchor': 'middle', 'font-size': 26, 'font-weight': 'bold', fill: CHART_COLORS.text
+  }, formatNumber(total, 'integer')));
+  svg.appendChild(svgElement('text', {
+    x: cx, y: cy + 22, 'text-anchor': 'middle', 'font-size': 12, fill: CHART_COLORS.muted
+  }, 'orders'));
+}
+
+function exportChart(card, type) {
+  const svg = card.querySelector('svg');
+  const name = `${card.getAttribute('data-chart')}-${salesChartData.start}-to-${salesChartData.end}`;
+  const markup = new XMLSerializer().serializeToString(svg);
+  const svgBlob = new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+  
+  if (type === 'svg') {
+    downloadBlob(svgBlob, `${name}.svg`);
+    return;
+  }
+  
+  // PNG: draw the SVG onto a 2x canvas
+  const url = URL.createObjectURL(svgBlob);
+  const image = new Image();
+  image.onload = function() {
+    const canvas = document.createElement('canvas');
+    canvas.width = CHART_SIZE.width * 2;
+    canvas.height = CHART_SIZE.height * 2;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, `${name}.png`), 'image/png');
+  };
+  image.onerror = function() {
+    URL.revokeObjectURL(url);
+    showToast('Could not export the chart as PNG - try SVG instead', 'error');
+  };
+  image.src = url;
+}
+
+function bindChartTooltip(card) {
+  const tooltip = card.querySelector('.chart-tooltip');
+  
+  const show = (target) => {
+    const text = target.getAttribute('data-tooltip');
+    if (!text) return;
+    tooltip.textContent = text;
+    tooltip.hidden = false;
+    
+    const cardBox = card.getBoundingClientRect();
+    const box = target.getBoundingClientRect();
+    const left = Math.min(box.left - cardBox.left + box.width / 2, cardBox.width - tooltip.offsetWidth / 2 - 4);
+    tooltip.style.left = `${Math.max(left, tooltip.offsetWidth / 2 + 4)}px`;
+    tooltip.style.top = `${box.top - cardBox.top - tooltip.offsetHeight - 8}px`;
+  };
+  const hide = () => { tooltip.hidden = true; };
+  
+  card.addEventListener('mouseover', (e) => {
+    const target = e.target.closest('[data-tooltip]');
+    if (target) show(target); else hide();
+  });
+  card.addEventListener('mouseleave', hide);
+  card.addEventListener('focusin', (e) => {
+    if (e.target.hasAttribute('data-tooltip')) show(e.target);
+  });
+  card.addEventListener('focusout', hide);
+}
+
+function buildChartCard(key, title, options = null) {
+  const card = document.createElement('section');
+  card.className = 'chart-card';
+  card.setAttribute('data-chart', key);
+  
+  const header = document.createElement('div');
+  header.className = 'chart-card-header';
+  const heading = document.createElement('h5');
+  heading.textContent = title;
+  header.appendChild(heading);
+  
+  const controls = document.createElement('div');
+  controls.className = 'chart-controls';
+  
+  if (options) {
+    const group = document.createElement('div');
+    group.className = 'btn-group btn-group-xs';
+    group.setAttribute('role', 'group');
+    Object.entries(options.choices).forEach(([value, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-default';
+      button.textContent = label;
+      button.setAttribute('aria-pressed', salesChartState[options.state] === value ? 'true' : 'false');
+      button.addEventListener('click', () => {
+        salesChartState[options.state] = value;
+        renderSalesCharts();
+      });
+      group.appendChild(button);
+    });
+    controls.appendChild(group);
+  }
+  
+  ['png', 'svg'].forEach(type => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-default btn-xs chart-export';
+    button.textContent = type.toUpperCase();
+    button.title = `Download as ${type.toUpperCase()}`;
+    button.addEventListener('click', () => exportChart(card, type));
+    controls.appendChild(button);
+  });
+  
+  header.appendChild(controls);
+  
+  const tooltip = document.createElement('div');
+  tooltip.className = 'chart-tooltip';
+  tooltip.setAttribute('role', 'tooltip');
+  tooltip.hidden = true;
+  
+  const svg = createChartSvg(title);
+  card.append(header, svg, tooltip);
+  bindChartTooltip(card);
+  return { card, svg };
+}
+
+function renderSalesCharts() {
+  const container = document.getElementById('sales_charts');
+  if (!container || !salesChartData) return;
+  
+  CHART_COLORS = readChartColors();
+  const revenue = buildChartCard('revenue', 'Revenue over time',
+    { state: 'grouping', choices: SALES_GROUPINGS });
+  drawRevenueChart(revenue.svg, groupDailySales(salesChartData, salesChartState.grouping));
+  
+  const topShoes = buildChartCard('top-shoes', 'Top shoes',
+    { state: 'topMetric', choices: { revenue: 'Revenue', units: 'Units' } });
+  const topShoesData = salesChartData.topShoes || {};
+  drawTopShoesChart(topShoes.svg, topShoesData[salesChartState.topMetric] || [], salesChartState.topMetric);
+  
+  const statuses = buildChartCard('status-breakdown', 'Orders by status');
+  drawStatusChart(statuses.svg, salesChartData.statuses || []);
+  
+  container.replaceChildren(revenue.card, topShoes.card, statuses.card);
+}
+
+function handleSalesCharts(message) {
+  salesChartData = message;
+  renderSalesCharts();
+}
+
+/* =========================================================
+  BULK ORDER STATUS (STAFF)
+========================================================= */
+// Checkboxes in the first column of staff_orders_table. DT's own selection
+// stays single-row for the detail panel; the checked orders live here so
+// they survive paging and table reloads. ORDER_TRANSITIONS is
+// STATUS_TRANSITIONS from app.R, sent with the statusRegistry message.
+let ORDER_TRANSITIONS = {};
+
+const bulkSelectedOrders = new Map(); // order id -> status when last drawn
+let bulkAnchorOrder = null;
+let bulkUpdatePending = false;
+
+function setOrderTransitions(transitions) {
+  if (!transitions || typeof transitions !== 'object') return;
+  
+  ORDER_TRANSITIONS = {};
+  Object.keys(transitions).forEach(from => {
+    ORDER_TRANSITIONS[from] = [].concat(transitions[from]).map(String);
+  });
+}
+
+function canChangeStatus(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// DataTables columns.render for the select column. The cell value is the
+// order id; the row's status is stored on the checkbox for the action bar.
+function dtBulkSelectRender(data, type, row) {
+  if (type !== 'display') return data;
+  
+  const id = Number(data);
+  const status = (row || []).map(getStatus).find(Boolean);
+  const trackId = (row || []).find(cell => /^SOS\d+$/.test(cell)) || `order ${id}`;
+  
+  return String(html`<input type="checkbox" class="bulk-select" value="${id}"` +
+    html` data-order-status="${status ? status.key : ''}"` +
+    html` aria-label="Select ${trackId}"${bulkSelectedOrders.has(id) ? html` checked` : ''}>`);
+}
+
+function getBulkCheckboxes() {
+  return Array.from(document.querySelectorAll('#staff_orders_table tbody input.bulk-select'));
+}
+
+function setBulkChecked(checkbox, checked) {
+  const id = Number(checkbox.value);
+  checkbox.checked = checked;
+  
+  if (checked) {
+    bulkSelectedOrders.set(id, checkbox.getAttribute('data-order-status'));
+  } else {
+    bulkSelectedOrders.delete(id);
+  }
+  
+  const row = checkbox.closest('tr');
+  if (row) row.classList.toggle('bulk-selected', checked);
+}
+
+function clearBulkSelection() {
+  bulkSelectedOrders.clear();
+  bulkAnchorOrder = null;
+  getBulkCheckboxes().forEach(box => setBulkChecked(box, false));
+  updateBulkOrderBar();
+}
+
+// Runs in the capture phase so DT never sees these clicks: ticking a box
+// must not also select the row (or sort by the header)
+function handleBulkSelectClick(e) {
+  const cell = e.target.closest('#staff_orders_table .bulk-select-cell');
+  if (!cell) return;
+  e.stopPropagation();
+  
+  const selectAll = cell.querySelector('input.bulk-select-all');
+  if (selectAll) {
+    if (e.target !== selectAll) selectAll.checked = !selectAll.checked;
+    getBulkCheckboxes().forEach(box => setBulkChecked(box, selectAll.checked));
+    bulkAnchorOrder = null;
+    updateBulkOrderBar();
+    return;
+  }
+  
+  const checkbox = cell.querySelector('input.bulk-select');
+  if (!checkbox) return;
+  if (e.target !== checkbox) checkbox.checked = !checkbox.checked;
+  
+  // Shift-click copies this box's new state onto every row back to the
+  // previously clicked one on the same page
+  const boxes = getBulkCheckboxes();
+  const index = boxes.indexOf(checkbox);
+  const anchor = boxes.findIndex(box => Number(box.value) === bulkAnchorOrder);
+  
+  if (e.shiftKey && anchor !== -1 && index !== -1) {
+    boxes.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+      .forEach(box => setBulkChecked(box, checkbox.checked));
+    window.getSelection().removeAllRanges();
+  } else {
+    setBulkChecked(checkbox, checkbox.checked);
+  }
+  
+  bulkAnchorOrder = Number(checkbox.value);
+  updateBulkOrderBar();
+}
+
+// After every draw: add the header box, re-check rows from the saved
+// selection and pick up statuses that changed since they were checked
+function syncBulkSelection() {
+  const table = document.querySelector('#staff_orders_table table.dataTable');
+  if (!table) return;
+  
+  const header = table.querySelector('thead th.bulk-select-cell');
+  if (!header) {
+    // "No active orders" placeholder - nothing left to act on
+    clearBulkSelection();
+    return;
+  }
+  
+  if (!header.querySelector('.bulk-select-all')) {
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.className = 'bulk-select-all';
+    selectAll.title = 'Select all on this page';
+    selectAll.setAttribute('aria-label', 'Select all orders on this page');
+    header.textContent = '';
+    header.appendChild(selectAll);
+  }
+  
+  getBulkCheckboxes().forEach(box => setBulkChecked(box, bulkSelectedOrders.has(Number(box.value))));
+  updateBulkOrderBar();
+}
+
+function updateBulkOrderBar() {
+  const boxes = getBulkCheckboxes();
+  const selectAll = document.querySelector('#staff_orders_table .bulk-select-all');
+  if (selectAll) {
+    const checked = boxes.filter(box => box.checked).length;
+    selectAll.checked = boxes.length > 0 && checked === boxes.length;
+    selectAll.indeterminate = checked > 0 && checked < boxes.length;
+  }
+  
+  // Packing slips print the checked orders too
+  if (window.Shiny && Shiny.setInputValue) {
+    Shiny.setInputValue('bulk_selected_orders', Array.from(bulkSelectedOrders.keys()));
+  }
+  
+  const bar = document.getElementById('bulk_order_bar');
+  if (!bar) return;
+  
+  const count = bulkSelectedOrders.size;
+  const statuses = Array.from(bulkSelectedOrders.values());
+  bar.hidden = count === 0;
+  bar.classList.toggle('is-busy', bulkUpdatePending);
+  bar.querySelector('.bulk-order-count').textContent =
+    `${formatNumber(count, 'integer')} order${count === 1 ? '' : 's'} selected`;
+  
+  bar.querySelectorAll('.bulk-order-action').forEach(button => {
+    const target = button.getAttribute('data-target-status');
+    const eligible = statuses.filter(from => canChangeStatus(from, target)).length;
+    
+    button.querySelector('.bulk-order-eligible').textContent = ` (${formatNumber(eligible, 'integer')})`;
+    button.disabled = bulkUpdatePending || eligible === 0;
+    button.title = eligible === count
+      ? `Mark all selected orders as ${target}`
+      : `${eligible} of ${count} selected orders can be marked as ${target}; the rest will be skipped`;
+  });
+}
+
+function sendBulkStatusUpdate(target) {
+  if (!window.Shiny || !Shiny.setInputValue || !bulkSelectedOrders.size) return;
+  
+  bulkUpdatePending = true;
+  updateBulkOrderBar();
+  Shiny.setInputValue('bulk_status_update', {
+    orderIds: Array.from(bulkSelectedOrders.keys()),
+    status: target
+  }, { priority: 'event' });
+}
+
+// Statuses with nothing after them (Completed, Cancelled) take the order
+// off this table and touch sales or stock, so they ask first
+function requestBulkStatusUpdate(target) {
+  const eligible = Array.from(bulkSelectedOrders.values())
+    .filter(from => canChangeStatus(from, target)).length;
+  if (!eligible || bulkUpdatePending) return;
+  
+  if (ORDER_TRANSITIONS[target]) {
+    sendBulkStatusUpdate(target);
+    return;
+  }
+  
+  const skipped = bulkSelectedOrders.size - eligible;
+  window.showAlert({
+    title: `Mark ${eligible} order${eligible === 1 ? '' : 's'} as ${target}?`,
+    text: 'This can\'t be undone from Manage Orders.' +
+      (skipped ? ` ${skipped} selected order${skipped === 1 ? '' : 's'} can't be changed and will be skipped.` : ''),
+    icon: 'warning',
+    confirmText: `Mark as ${target}`,
+    cancelText: 'Cancel',
+    onClose: confirmed => { if (confirmed) sendBulkStatusUpdate(target); }
+  });
+}
+
+// Updated orders leave the selection; skipped ones stay checked so they
+// can be found in the table and dealt with one by one. A message with
+// `error` means nothing ran: the selection and last summary stay as they were.
+function showBulkStatusResult(message) {
+  bulkUpdatePending = false;
+  
+  if (message.error) {
+    window.showToast(message.error, 'error');
+    updateBulkOrderBar();
+    return;
+  }
+  
+  const results = Array.isArray(message.results) ? message.results : [];
+  const updated = results.filter(result => result.ok);
+  const skipped = results.filter(result => !result.ok);
+  updated.forEach(result => bulkSelectedOrders.delete(Number(result.orderId)));
+  
+  const panel = document.getElementById('bulk_order_results');
+  if (panel) {
+    panel.textContent = '';
+    panel.classList.toggle('has-skipped', skipped.length > 0);
+    
+    const heading = document.createElement('div');
+    heading.className = 'bulk-order-results-heading';
+    const summary = document.createElement('strong');
+    summary.textContent = `${updated.length} of ${results.length} order${results.length === 1 ? '' : 's'} marked as ${message.status}` +
+      (skipped.length ? `, ${skipped.length} skipped` : '');
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn btn-link bulk-order-results-close';
+    close.setAttribute('aria-label', 'Dismiss summary');
+    close.textContent = '×';
+    close.addEventListener('click', () => { panel.hidden = true; });
+    heading.append(summary, close);
+    panel.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    results.forEach(result => {
+      const item = document.createElement('li');
+      item.className = result.ok ? 'bulk-result-ok' : 'bulk-result-skipped';
+      
+      const icon = document.createElement('i');
+      icon.className = `fa fa-${result.ok ? 'check' : 'minus-circle'}`;
+      const track = document.createElement('strong');
+      track.textContent = result.trackId;
+      const detail = document.createElement('span');
+      detail.textContent = result.ok
+        ? ` ${result.from} → ${message.status}`
+        : ` skipped: ${result.reason}`;
+      
+      item.append(icon, ' ', track, detail);
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+    panel.hidden = false;
+  }
+  
+  window.showToast(
+    skipped.length
+      ? `${updated.length} updated, ${skipped.length} skipped - see the summary above the table`
+      : `${updated.length} order${updated.length === 1 ? '' : 's'} marked as ${message.status}`,
+    skipped.length ? 'warning' : 'success'
+  );
+  updateBulkOrderBar();
+}
+
+/* =========================================================
+  THEME SWITCHER
+========================================================= */
+// Navbar menu for the themes in theme.js, shared by the customer and staff
+// navbars. "Match system" forgets the saved choice so prefers-color-scheme
+// decides again.
+const THEME_ICONS = {
+  system: 'circle-half-stroke',
+  light: 'sun',
+  dark: 'moon',
+  'high-contrast': 'eye'
+};
+
+function setThemePreference(preference) {
+  saveThemePreference(preference);
+  applyTheme(preference);
+}
+
+function toggleThemePanel(force) {
+  const panel = document.querySelector('.theme-panel');
+  if (!panel) return;
+  
+  const open = force !== undefined ? force : panel.hidden;
+  panel.hidden = !open;
+  document.querySelector('.theme-toggle').setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+// Keeps the navbar icon and the checked option in step with <html data-theme>
+function updateThemeControls() {
+  const preference = loadThemePreference();
+  const theme = resolveTheme(preference);
+  
+  document.querySelectorAll('.theme-toggle').forEach(toggle => {
+    toggle.querySelector('i').className = `fas fa-${THEME_ICONS[preference === 'system' ? 'system' : theme]}`;
+    toggle.title = t(preference === 'system' ? 'theme.current_system' : 'theme.current',
+      { theme: t(`theme.${theme}`) });
+  });
+  
+  document.querySelectorAll('.theme-panel input[type="radio"]').forEach(radio => {
+    radio.checked = radio.value === preference;
+  });
+}
+
+function ensureThemeControls() {
+  const nav = document.querySelector('#customer_nav, #staff_nav');
+  if (!nav || nav.querySelector('.theme-menu')) return;
+  
+  const item = document.createElement('li');
+  item.className = 'theme-menu';
+  
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'theme-toggle';
+  setI18nAttr(toggle, 'aria-label', 'theme.label');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.appendChild(document.createElement('i'));
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleThemePanel();
+  });
+  
+  const panel = document.createElement('div');
+  panel.className = 'theme-panel';
+  panel.hidden = true;
+  panel.setAttribute('role', 'radiogroup');
+  setI18nAttr(panel, 'aria-label', 'theme.label');
+  panel.addEventListener('click', (e) => e.stopPropagation());
+  
+  ['system'].concat(Object.keys(THEMES)).forEach(value => {
+    const option = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'theme_choice';
+    radio.value = value;
+    radio.addEventListener('change', () => setThemePreference(value));
+    
+    const icon = document.createElement('i');
+    icon.className = `fas fa-${THEME_ICONS[value]}`;
+    
+    const label = document.createElement('span');
+    setI18nText(label, `theme.${value}`);
+    
+    option.append(radio, icon, label);
+    panel.appendChild(option);
+  });
+  
+  item.append(toggle, panel);
+  nav.appendChild(item);
+  updateThemeControls();
+}
+
+/* =========================================================
+  LANGUAGE SWITCHER
+========================================================= */
+// Language picker for the navbars and the login box. A choice applies here
+// straight away and goes to the server as input$set_language, which saves
+// it for a signed-in user and answers with the i18n and statusRegistry
+// messages (translated status badges come from there).
+function reportClientLanguage() {
+  if (!window.Shiny || !Shiny.setInputValue) return;
+  Shiny.setInputValue('client_language', currentLanguage);
+}
+
+function setLanguage(language, messages) {
+  setLanguageState(language, messages);
+  saveLanguagePreference(currentLanguage);
+  refreshLanguage();
+}
+
+function chooseLanguage(language) {
+  setLanguage(language);
+  if (window.Shiny && Shiny.setInputValue) {
+    Shiny.setInputValue('set_language', currentLanguage, { priority: 'event' });
+  }
+}
+
+// Re-renders everything that was built with t() or formatted for the old
+// locale. DataTables redraw when the translated status registry arrives.
+function refreshLanguage() {
+  applyTranslations();
+  relabelPasswordToggles();
+  updatePasswordStrength();
+  updateThemeControls();
+  updateLanguageControls();
+  refreshRelativeDates(true);
+  applyNumberFormats();
+  applyProductFilters();
+}
+
+function updateLanguageControls() {
+  document.querySelectorAll('.language-select').forEach(select => {
+    select.value = currentLanguage;
+  });
+}
+
+function ensureLanguageControls() {
+  document.querySelectorAll('#customer_nav, #staff_nav, #login_container .login-box').forEach(container => {
+    if (container.querySelector('.language-menu')) return;
+    
+    const item = document.createElement(container.tagName === 'UL' ? 'li' : 'div');
+    item.className = 'language-menu';
+    
+    const icon = document.createElement('i');
+    icon.className = 'fas fa-globe';
+    icon.setAttribute('aria-hidden', 'true');
+    
+    const select = document.createElement('select');
+    select.className = 'language-select';
+    setI18nAttr(select, 'aria-label', 'language.label');
+    Object.entries(I18N_CATALOG.languages).forEach(([value, language]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.lang = value;
+      option.textContent = language.label;
+      select.appendChild(option);
+    });
+    select.value = currentLanguage;
+    select.addEventListener('change', () => chooseLanguage(select.value));
+    
+    item.append(icon, select);
+    container.appendChild(item);
+  });
+}
+
+/* =========================================================
+  ACCESSIBILITY
+========================================================= */
+// Live regions for toasts and Shiny notifications, a skip link, focus
+// trap/restore for every Bootstrap modal and roving tabindex across the
+// product card grid. The live regions exist from startup because screen
+// readers ignore a region that appears together with its text.
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const modalFocusStack = [];
+
+function ensureLiveRegions() {
+  [
+    { id: 'a11y_status', role: 'status', politeness: 'polite' },
+    { id: 'a11y_alert', role: 'alert', politeness: 'assertive' }
+  ].forEach(spec => {
+    if (document.getElementById(spec.id)) return;
+    
+    const region = document.createElement('div');
+    region.id = spec.id;
+    region.className = 'sr-only';
+    region.setAttribute('role', spec.role);
+    region.setAttribute('aria-live', spec.politeness);
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+  });
+}
+
+// Errors interrupt the screen reader; everything else waits its turn
+function announce(message, politeness = 'polite') {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!text || !document.body) return;
+  
+  ensureLiveRegions();
+  const region = document.getElementById(politeness === 'assertive' ? 'a11y_alert' : 'a11y_status');
+  
+  // Emptying first makes a repeated message count as a change
+  region.textContent = '';
+  setTimeout(() => { region.textContent = text; }, 50);
+}
+
+// showNotification() from the server, e.g. "Order SOS012 has been marked as
+// Processing" - read out once each
+function announceShinyNotifications(root) {
+  root.querySelectorAll('.shiny-notification:not([data-announced])').forEach(note => {
+    note.setAttribute('data-announced', 'true');
+    const content = note.querySelector('.shiny-notification-content-text') || note;
+    announce(content.textContent, note.classList.contains('shiny-notification-error') ? 'assertive' : 'polite');
+  });
+}
+
+function getFocusable(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(el => el.offsetParent !== null && !el.closest('[hidden]'));
+}
+
+// The active tab once signed in, otherwise the login/registration form
+function focusMainContent() {
+  const target = [
+    '#main_container .tab-content > .tab-pane.active',
+    '#login_container .login-box',
+    '#login_container'
+  ].map(selector => document.querySelector(selector)).find(el => el && el.offsetParent !== null);
+  if (!target) return;
+  
+  if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+  target.focus();
+}
+
+function ensureSkipLink() {
+  if (document.querySelector('.skip-link')) return;
+  
+  const link = document.createElement('a');
+  link.className = 'skip-link';
+  link.href = '#main_container';
+  setI18nText(link, 'a11y.skip_link');
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    focusMainContent();
+  });
+  document.body.prepend(link);
+}
+
+function initAccessibility() {
+  ensureLiveRegions();
+  ensureSkipLink();
+}
+
+// Shiny's modalDialog() has no dialog semantics of its own
+function labelModal(modal) {
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  
+  const title = modal.querySelector('.modal-title');
+  if (title) {
+    if (!title.id) title.id = `${modal.id || 'modal'}_title`;
+    modal.setAttribute('aria-labelledby', title.id);
+  }
+}
+
+function handleModalShow(e) {
+  if (!e.target.classList.contains('modal')) return;
+  
+  const opener = document.activeElement;
+  modalFocusStack.push({ modal: e.target, opener: opener, openerId: opener ? opener.id : '' });
+}
+
+// Bootstrap focuses the dialog box itself; move on to its first control
+function handleModalShown(e) {
+  const modal = e.target;
+  if (!modal.classList.contains('modal')) return;
+  
+  labelModal(modal);
+  if (modal.contains(document.activeElement) && document.activeElement !== modal) return;
+  
+  const body = modal.querySelector('.modal-body');
+  const target = modal.querySelector('[autofocus]') ||
+    (body && getFocusable(body)[0]) || getFocusable(modal)[0];
+  if (target) target.focus();
+}
+
+function handleModalHidden(e) {
+  const index = modalFocusStack.findIndex(entry => entry.modal === e.target);
+  if (index === -1) return;
+  
+  const entry = modalFocusStack.splice(index, 1)[0];
+  
+  // The opener may have been re-rendered while the modal was up
+  let target = entry.opener;
+  if ((!target || !target.isConnected) && entry.openerId) target = document.getElementById(entry.openerId);
+  
+  if (target && target !== document.body && target.offsetParent !== null) {
+    target.focus();
+  } else {
+    focusMainContent();
+  }
+}
+
+// Tab and Shift+Tab wrap around inside the topmost open modal. Alert
+// dialogs, the command palette and quick view trap focus themselves.
+function trapModalFocus(e) {
+  if (e.key !== 'Tab' || activeAlert || isPaletteOpen() ||
+      document.body.classList.contains('quick-view-open')) return;
+  
+  const modals = getOpenModals();
+  const modal = modals[modals.length - 1];
+  if (!modal) return;
+  
+  const focusable = getFocusable(modal);
+  if (!focusable.length) {
+    e.preventDefault();
+    return;
+  }
+  
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const current = document.activeElement;
+  
+  if (!modal.contains(current) || current === modal) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  } else if (e.shiftKey && current === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && current === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+function getProductCards(grid) {
+  return Array.from(grid.querySelectorAll('.card[data-shoe-id]:not([hidden])'));
+}
+
+// Only the active card (and the buttons inside it) is in the tab order
+function setActiveProductCard(grid, active, focus = false) {
+  grid.querySelectorAll('.card[data-shoe-id]').forEach(card => {
+    const isActive = card === active;
+    card.tabIndex = isActive ? 0 : -1;
+    card.querySelectorAll('button, a[href], input').forEach(control => {
+      control.tabIndex = isActive ? 0 : -1;
+    });
+  });
+  
+  if (focus && active) {
+    active.focus();
+    active.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function handleProductGridKeydown(e) {
+  const card = e.target.closest('.card[data-shoe-id]');
+  if (!card || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+  
+  const grid = e.currentTarget;
+  
+  if ((e.key === 'Enter' || e.key === ' ') && e.target === card) {
+    e.preventDefault();
+    const trigger = card.querySelector('.quick-view-trigger');
+    if (trigger) trigger.click();
+    return;
+  }
+  
+  const cards = getProductCards(grid);
+  const index = cards.indexOf(card);
+  if (index === -1) return;
+  
+  // Cards sharing the first card's row tell us how many columns there are
+  const columns = Math.max(1, cards.filter(c => c.offsetTop === cards[0].offsetTop).length);
+  const moves = {
+    ArrowRight: index + 1,
+    ArrowLeft: index - 1,
+    ArrowDown: index + columns,
+    ArrowUp: index - columns,
+    Home: 0,
+    End: cards.length - 1
+  };
+  if (!(e.key in moves)) return;
+  
+  e.preventDefault();
+  setActiveProductCard(grid, cards[Math.min(Math.max(moves[e.key], 0), cards.length - 1)], true);
+}
+
+// After every render and filter change, so the tab stop never lands on a
+// hidden card
+function updateProductCardNavigation() {
+  const grid = document.querySelector('.shoe-card-grid');
+  if (!grid) return;
+  
+  if (!grid.hasAttribute('data-roving-ready')) {
+    grid.setAttribute('data-roving-ready', 'true');
+    grid.setAttribute('role', 'group');
+    setI18nAttr(grid, 'aria-label', 'a11y.products');
+    grid.addEventListener('keydown', handleProductGridKeydown);
+    grid.addEventListener('focusin', (e) => {
+      const card = e.target.closest('.card[data-shoe-id]');
+      if (card && card.tabIndex !== 0) setActiveProductCard(grid, card);
+    });
+  }
+  
+  const cards = getProductCards(grid);
+  cards.forEach(card => {
+    if (card.hasAttribute('aria-label')) return;
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', card.getAttribute('data-name') || t('a11y.product'));
+  });
+  
+  setActiveProductCard(grid, cards.find(card => card.tabIndex === 0) || cards[0]);
+}
+
+/* =========================================================
+  CONNECTION BANNER & OFFLINE ACTION REPLAY
+========================================================= */
+// Buttons whose clicks must survive a dropped connection, mapped to the
+// inputs the server reads when handling them
+const REPLAYABLE_ACTIONS = {
+  confirm_add_cart: ['sel_color', 'sel_size', 'sel_qty'],
+  make_order_btn: []
+};
+const PENDING_ACTIONS_KEY = 'pjmPendingActions';
+const PENDING_ACTION_TTL = 30 * 60 * 1000;  // ACTION_KEY_TTL_MINUTES in app.R
+
+let shinyConnected = false;
+let actionOwnerId = null; // signed-in customer, from the actionOwner message
+let reconnectUnavailable = false;
+
+function generateActionKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function loadPendingActions() {
+  try {
+    const actions = JSON.parse(localStorage.getItem(PENDING_ACTIONS_KEY)) || [];
+    return actions.filter(intent => Date.now() - intent.createdAt < PENDING_ACTION_TTL);
+  } catch (e) {
+    return [];
+  }
+}
+
+function savePendingActions(actions) {
+  if (actions.length) {
+    localStorage.setItem(PENDING_ACTIONS_KEY, JSON.stringify(actions));
+  } else {
+    localStorage.removeItem(PENDING_ACTIONS_KEY);
+  }
+}
+
+function readInputValue(id) {
+  const el = document.getElementById(id);
+  if (!el) return null;
+  if (el.type === 'number') return el.value === '' ? null : Number(el.value);
+  return el.value;
+}
+
+function sendActionKey(intent) {
+  Shiny.setInputValue('action_key', {
+    action: intent.action,
+    key: intent.key,
+    shoeId: intent.shoeId,
+    userId: intent.userId
+  }, { priority: 'event' });
+}
+
+// Saved clicks belong to the customer who made them. Signing out drops any
+// that are still waiting, so the next person on this browser never gets them.
+function setActionOwner(userId) {
+  const previous = actionOwnerId;
+  actionOwnerId = userId === undefined ? null : userId;
+  if (previous !== null && actionOwnerId === null) savePendingActions([]);
+}
+
+// Runs in the capture phase, ahead of Shiny's own button binding. Online
+// clicks just get a key; offline ones are stored instead of being lost.
+function handleReplayableClick(e) {
+  const button = e.target.closest && e.target.closest('button');
+  if (!button || !REPLAYABLE_ACTIONS[button.id] || button.disabled) return;
+  
+  const inputs = {};
+  REPLAYABLE_ACTIONS[button.id].forEach(id => {
+    inputs[id] = readInputValue(id);
+  });
+  
+  const intent = {
+    action: button.id,
+    key: generateActionKey(),
+    shoeId: button.getAttribute('data-shoe-id'),
+    userId: actionOwnerId,
+    inputs: inputs,
+    createdAt: Date.now()
+  };
+  
+  if (shinyConnected) {
+    sendActionKey(intent);
+    return;
+  }
+  
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  
+  const actions = loadPendingActions();
+  actions.push(intent);
+  savePendingActions(actions);
+  updateConnectionBanner();
+  
+  window.showToast(t(intent.action === 'make_order_btn' ?
+    'connection.offline_order' : 'connection.offline_cart'), 'warning', 5000);
+}
+
+// The server asks for this once the customer is signed in again. Clicks
+// saved for a different account are dropped, never sent.
+function replayPendingActions(userId) {
+  const actions = loadPendingActions().filter(intent =>
+    intent.userId !== null && intent.userId !== undefined && String(intent.userId) === String(userId));
+  savePendingActions([]);
+  if (!actions.length || !window.Shiny) return;
+  
+  window.showToast(t('connection.sending', { count: actions.length }), 'info');
+  
+  // Spaced out so each click is handled with its own input values
+  actions.forEach((intent, index) => {
+    setTimeout(() => {
+      Object.keys(intent.inputs).forEach(id => {
+        if (intent.inputs[id] !== null) Shiny.setInputValue(id, intent.inputs[id]);
+      });
+      sendActionKey(intent);
+      Shiny.setInputValue(intent.action, Date.now(), { priority: 'event' });
+    }, index * 500);
+  });
+}
+
+function getConnectionBanner() {
+  let banner = document.querySelector('.connection-banner');
+  if (banner) return banner;
+  
+  banner = document.createElement('div');
+  banner.className = 'connection-banner';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+  
+  const icon = document.createElement('i');
+  icon.className = 'fas fa-wifi';
+  
+  const text = document.createElement('span');
+  text.className = 'connection-banner-text';
+  
+  const reconnectBtn = document.createElement('button');
+  reconnectBtn.type = 'button';
+  reconnectBtn.className = 'connection-banner-btn connection-reconnect';
+  setI18nText(reconnectBtn, 'connection.reconnect');
+  reconnectBtn.addEventListener('click', attemptReconnect);
+  
+  const reloadBtn = document.createElement('button');
+  reloadBtn.type = 'button';
+  reloadBtn.className = 'connection-banner-btn connection-reload';
+  setI18nText(reloadBtn, 'connection.reload');
+  reloadBtn.addEventListener('click', () => window.location.reload());
+  
+  banner.append(icon, text, reconnectBtn, reloadBtn);
+  document.body.appendChild(banner);
+  return banner;
+}
+
+function updateConnectionBanner() {
+  const banner = document.querySelector('.connection-banner');
+  if (!banner) return;
+  
+  let message = t(reconnectUnavailable ? 'connection.lost_reload' : 'connection.reconnecting');
+  const pending = loadPendingActions().length;
+  if (pending) {
+    message += ` ${t('connection.saved_actions', { count: pending })}`;
+  }
+  
+  banner.querySelector('.connection-banner-text').textContent = message;
+  banner.querySelector('.connection-reconnect').hidden = reconnectUnavailable;
+}
+
+// Shiny retries on its own (session$allowReconnect in app.R) with its UI
+// hidden behind this banner; the button just skips the wait
+function attemptReconnect() {
+  if (shinyConnected) return;
+  
+  try {
+    Shiny.shinyapp.reconnect();
+  } catch (e) {
+    // The server didn't keep the session - only a reload will help
+    console.log('Reconnect unavailable:', e);
+    reconnectUnavailable = true;
+  }
+  updateConnectionBanner();
+}
+
+function handleShinyDisconnected() {
+  if (!shinyConnected) return;
+  shinyConnected = false;
+  reconnectUnavailable = false;
+  
+  document.body.classList.add('connection-lost');
+  getConnectionBanner();
+  updateConnectionBanner();
+}
+
+function handleShinyConnected() {
+  const wasDisconnected = document.body.classList.contains('connection-lost');
+  shinyConnected = true;
+  
+  document.body.classList.remove('connection-lost');
+  
+  const banner = document.querySelector('.connection-banner');
+  if (banner) banner.remove();
+  
+  if (wasDisconnected) window.showToast(t('connection.restored'), 'success');
+  
+  // Let the server decide whether it can take them yet (needs a signed-in customer)
+  const pending = loadPendingActions().length;
+  if (pending) {
+    Shiny.setInputValue('pending_actions', pending, { priority: 'event' });
+  }
+}
+
+/* =========================================================
+  STAFF KEYBOARD SHORTCUTS & COMMAND PALETTE
+========================================================= */
+// Single keys for the status buttons under staff_orders_table, from each
+// registry entry's `shortcut`. A key only fires when its button is actually
+// shown for the selected order.
+function getShortcutStatus(key) {
+  return STATUS_REGISTRY.find(status => status.shortcut === key) || null;
+}
+
+function getStatusActionButton(status) {
+  return document.querySelector(`.status-buttons-container [data-status-action="${CSS.escape(status.key)}"]`);
+}
+const PALETTE_TABS = ['Manage Orders', 'Shoe Inventory', 'Completed Orders', 'Sales Report'];
+
+let paletteSelected = 0;
+let paletteCommands = [];
+let paletteReturnFocus = null;
+
+function isTypingTarget(el) {
+  return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+}
+
+function isShown(el) {
+  return !!el && el.offsetParent !== null && !el.disabled;
+}
+
+function isStaffView() {
+  return !!document.getElementById('staff_nav');
+}
+
+function getStaffOrdersTable() {
+  const el = document.querySelector('#staff_orders_table table.dataTable');
+  if (!el || !isShown(el) || !$.fn.dataTable.isDataTable(el)) return null;
+  return $(el).DataTable();
+}
+
+// DT's selection lives in its own click handler, so go through a click
+function selectOrderRow(row) {
+  if (!row || row.classList.contains('selected') || row.querySelector('.dataTables_empty')) return;
+  $(row).trigger('click');
+  row.scrollIntoView({ block: 'nearest' });
+}
+
+function moveOrderSelection(step) {
+  const table = getStaffOrdersTable();
+  if (!table) return false;
+  
+  const rows = table.rows({ page: 'current' }).nodes().toArray();
+  if (!rows.length) return false;
+  
+  const current = rows.findIndex(row => row.classList.contains('selected'));
+  const next = current === -1 ? (step > 0 ? 0 : rows.length - 1) : current + step;
+  
+  if (next >= 0 && next < rows.length) {
+    selectOrderRow(rows[next]);
+    return true;
+  }
+  
+  // Walk onto the neighbouring page once it has drawn
+  const info = table.page.info();
+  const targetPage = info.page + (next < 0 ? -1 : 1);
+  if (targetPage < 0 || targetPage >= info.pages) return true;
+  
+  table.one('draw', () => {
+    const pageRows = table.rows({ page: 'current' }).nodes().toArray();
+    selectOrderRow(next < 0 ? pageRows[pageRows.length - 1] : pageRows[0]);
+  });
+  table.page(targetPage).draw('page');
+  return true;
+}
+
+function decorateShortcutButtons() {
+  STATUS_REGISTRY.filter(status => status.shortcut).forEach(status => {
+    const button = getStatusActionButton(status);
+    const key = status.shortcut;
+    if (!button || button.hasAttribute('data-shortcut')) return;
+    
+    button.setAttribute('data-shortcut', key.toUpperCase());
+    button.setAttribute('aria-keyshortcuts', key.toUpperCase());
+    button.title = `Shortcut: ${key.toUpperCase()}`;
+  });
+}
+
+function showStaffTab(name) {
+  const link = document.querySelector(`#staff_nav a[data-value="${name}"]`);
+  if (link) $(link).tab('show');
+}
+
+function clickShinyButton(id) {
+  const button = document.getElementById(id);
+  if (button && !button.disabled) button.click();
+}
+
+// "SOS012", "sos 12" and "12" all mean order 12
+function parseOrderId(query) {
+  const match = query.trim().match(/^(?:sos)?\s*#?\s*0*(\d+)$/i);
+  return match ? Number(match[1]) : null;
+}
+
+function getPaletteCommands(query) {
+  const commands = PALETTE_TABS.map(tab => ({
+    label: `Go to ${tab}`,
+    icon: 'arrow-right',
+    run: () => showStaffTab(tab)
+  }));
+  
+  commands.push({
+    label: 'Add new shoe',
+    icon: 'plus',
+    run: () => {
+      showStaffTab('Shoe Inventory');
+      clickShinyButton('add_shoe_btn');
+    }
+  }, {
+    label: 'Refresh orders',
+    icon: 'sync',
+    run: () => {
+      showStaffTab('Manage Orders');
+      clickShinyButton('refresh_staff_orders');
+    }
+  });
+  
+  const needle = query.trim().toLowerCase();
+  const matches = commands.filter(command => command.label.toLowerCase().includes(needle));
+  
+  const orderId = parseOrderId(query);
+  if (orderId !== null) {
+    matches.unshift({
+      label: `Open order SOS${String(orderId).padStart(3, '0')}`,
+      icon: 'receipt',
+      run: () => openStaffOrder(orderId)
+    });
+  }
+  
+  return matches;
+}
+
+function getCommandPalette() {
+  let overlay = document.querySelector('.command-palette-overlay');
+  if (overlay) return overlay;
+  
+  overlay = document.createElement('div');
+  overlay.className = 'command-palette-overlay';
+  overlay.hidden = true;
+  
+  const palette = document.createElement('div');
+  palette.className = 'command-palette';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-modal', 'true');
+  palette.setAttribute('aria-label', 'Command palette');
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'command-palette-input';
+  input.placeholder = 'Type a command or an order ID (e.g. SOS012)';
+  input.setAttribute('aria-controls', 'command-palette-list');
+  input.setAttribute('autocomplete', 'off');
+  
+  const list = document.createElement('ul');
+  list.className = 'command-palette-list';
+  list.id = 'command-palette-list';
+  list.setAttribute('role', 'listbox');
+  
+  const hint = document.createElement('div');
+  hint.className = 'command-palette-hint';
+  hint.textContent = 'Orders table: J/K or arrows to move, ' +
+    STATUS_REGISTRY.filter(status => status.shortcut)
+      .map(status => `${status.shortcut.toUpperCase()} ${status.label}`).join(', ');
+  
+  palette.append(input, list, hint);
+  overlay.appendChild(palette);
+  document.body.appendChild(overlay);
+  
+  input.addEventListener('input', () => {
+    paletteSelected = 0;
+    renderPaletteCommands();
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const count = paletteCommands.length;
+      if (!count) return;
+      paletteSelected = (paletteSelected + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      renderPaletteCommands();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runPaletteCommand(paletteSelected);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeCommandPalette();
+    }
+  });
+  
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) closeCommandPalette();
+  });
+  
+  return overlay;
+}
+
+function renderPaletteCommands() {
+  const overlay = getCommandPalette();
+  const input = overlay.querySelector('.command-palette-input');
+  const list = overlay.querySelector('.command-palette-list');
+  
+  paletteCommands = getPaletteCommands(input.value);
+  list.replaceChildren();
+  
+  if (!paletteCommands.length) {
+    const empty = document.createElement('li');
+    empty.className = 'command-palette-empty';
+    empty.textContent = 'No matching commands';
+    list.appendChild(empty);
+    input.removeAttribute('aria-activedescendant');
+    return;
+  }
+  
+  paletteCommands.forEach((command, index) => {
+    const item = document.createElement('li');
+    item.id = `command-palette-item-${index}`;
+    item.className = 'command-palette-item' + (index === paletteSelected ? ' active' : '');
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', index === paletteSelected ? 'true' : 'false');
+    
+    const icon = document.createElement('i');
+    icon.className = `fas fa-${command.icon}`;
+    const label = document.createElement('span');
+    label.textContent = command.label;
+    item.append(icon, label);
+    
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      runPaletteCommand(index);
+    });
+    list.appendChild(item);
+  });
+  
+  input.setAttribute('aria-activedescendant', `command-palette-item-${paletteSelected}`);
+  const active = list.querySelector('.active');
+  if (active) active.scrollIntoView({ block: 'nearest' });
+}
+
+function openCommandPalette() {
+  if (!isStaffView()) return;
+  
+  const overlay = getCommandPalette();
+  const input = overlay.querySelector('.command-palette-input');
+  
+  paletteReturnFocus = document.activeElement;
+  paletteSelected = 0;
+  input.value = '';
+  overlay.hidden = false;
+  renderPaletteCommands();
+  input.focus();
+}
+
+function closeCommandPalette() {
+  const overlay = document.querySelector('.command-palette-overlay');
+  if (!overlay || overlay.hidden) return;
+  
+  overlay.hidden = true;
+  if (paletteReturnFocus && paletteReturnFocus.focus) paletteReturnFocus.focus();
+  paletteReturnFocus = null;
+}
+
+function runPaletteCommand(index) {
+  const command = paletteCommands[index];
+  if (!command) return;
+  
+  closeCommandPalette();
+  command.run();
+}
+
+function isPaletteOpen() {
+  const overlay = document.querySelector('.command-palette-overlay');
+  return !!overlay && !overlay.hidden;
+}
+
+function handleStaffShortcuts(e) {
+  if (!e.key || !isStaffView()) return;
+  
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    if (isPaletteOpen()) {
+      closeCommandPalette();
+    } else {
+      openCommandPalette();
+    }
+    return;
+  }
+  
+  if (e.ctrlKey || e.metaKey || e.altKey || isPaletteOpen() || activeAlert ||
+      getOpenModals().length || isTypingTarget(e.target)) return;
+  
+  const key = e.key.toLowerCase();
+  const inTable = document.activeElement === document.body ||
+    !!(document.activeElement && document.activeElement.closest('#staff_orders_table'));
+  
+  if (key === 'j' || (key === 'arrowdown' && inTable)) {
+    if (moveOrderSelection(1)) e.preventDefault();
+  } else if (key === 'k' || (key === 'arrowup' && inTable)) {
+    if (moveOrderSelection(-1)) e.preventDefault();
+  } else if (getShortcutStatus(key)) {
+    const status = getShortcutStatus(key);
+    const button = getStatusActionButton(status);
+    if (!isShown(button)) return;
+    e.preventDefault();
+    
+    // Statuses with nothing after them take the order off Manage Orders and
+    // record a sale or restore stock - these ask first, as the bulk bar does
+    if (ORDER_TRANSITIONS[status.key]) {
+      button.click();
+      return;
+    }
+    
+    window.showAlert({
+      title: t('orders.confirm_status', { status: status.label }),
+      text: t('orders.confirm_status_text'),
+      icon: 'warning',
+      confirmText: t('orders.confirm_status_button', { status: status.label }),
+      cancelText: t('orders.cancel'),
+      onClose: confirmed => { if (confirmed && isShown(button)) button.click(); }
+    });
+  }
+}
+
+/* =========================================================
+  NEW ORDER ALERTS (STAFF)
+========================================================= */
+// The server pushes newOrders while a staff member is signed in. Settings
+// are kept per browser; muting silences the chime and desktop alerts but
+// the tab title counter and in-page toast remain.
+const ORDER_ALERT_SETTINGS_KEY = 'pjmOrderAlerts';
+const ORDER_ALERT_DEFAULTS = { muted: false, sound: true, desktop: false };
+
+let unreadOrderCount = 0;
+let orderChimeContext = null;
+
+function loadOrderAlertSettings() {
+  try {
+    return Object.assign({}, ORDER_ALERT_DEFAULTS,
+      JSON.parse(localStorage.getItem(ORDER_ALERT_SETTINGS_KEY)) || {});
+  } catch (e) {
+    return Object.assign({}, ORDER_ALERT_DEFAULTS);
+  }
+}
+
+function saveOrderAlertSettings(settings) {
+  localStorage.setItem(ORDER_ALERT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function openStaffOrder(orderId) {
+  Shiny.setInputValue('staff_open_order', orderId, { priority: 'event' });
+}
+
+function updateTitleCounter() {
+  const base = document.title.replace(/^\(\d+\)\s*/, '');
+  document.title = unreadOrderCount ? `(${unreadOrderCount}) ${base}` : base;
+  
+  const badge = document.querySelector('.order-alerts-count');
+  if (badge) {
+    badge.textContent = unreadOrderCount;
+    badge.hidden = unreadOrderCount === 0;
+  }
+}
+
+function clearUnreadOrders() {
+  if (!unreadOrderCount) return;
+  unreadOrderCount = 0;
+  updateTitleCounter();
+}
+
+function isManageOrdersActive() {
+  const link = document.querySelector('#staff_nav li.active > a[data-value="Manage Orders"]');
+  return !!link && document.visibilityState === 'visible';
+}
+
+// Two short sine notes - no audio file to ship or fail to load
+function playOrderChime() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+  
+  orderChimeContext = orderChimeContext || new AudioCtx();
+  const ctx = orderChimeContext;
+  if (ctx.state === 'suspended') ctx.resume();
+  
+  [880, 1318.5].forEach((frequency, index) => {
+    const start = ctx.currentTime + index * 0.18;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    
+    osc.type = 'sine';
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(0.2, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.35);
+    
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + 0.4);
+  });
+}
+
+function showDesktopOrderNotification(order) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  
+  const notification = new Notification(`New order ${order.trackId}`, {
+    body: `${order.customer} - ${formatNumber(order.total, 'currency')}`,
+    tag: `order-${order.orderId}`,
+    icon: 'https://img.icons8.com/color/96/000000/sneakers.png'
+  });
+  
+  notification.onclick = () => {
+    window.focus();
+    showStaffTab('Manage Orders');
+    openStaffOrder(order.orderId);
+    notification.close();
+  };
+}
+
+function handleNewOrders(message) {
+  const orders = (message && message.orders) || [];
+  if (!orders.length) return;
+  
+  const settings = loadOrderAlertSettings();
+  
+  if (!isManageOrdersActive()) {
+    unreadOrderCount += orders.length;
+    updateTitleCounter();
+  }
+  
+  orders.forEach(order => {
+    window.showToast(`New order ${order.trackId} from ${order.customer}`, 'info', 8000, {
+      action: { label: 'Open', inputId: 'staff_open_order', value: order.orderId }
+    });
+    
+    // Desktop alerts are for when the tab isn't in front of the user
+    if (!settings.muted && settings.desktop && document.visibilityState !== 'visible') {
+      showDesktopOrderNotification(order);
+    }
+  });
+  
+  if (!settings.muted && settings.sound) playOrderChime();
+}
+
+function toggleOrderAlertsPanel(force) {
+  const panel = document.querySelector('.order-alerts-panel');
+  if (!panel) return;
+  
+  const open = force !== undefined ? force : panel.hidden;
+  panel.hidden = !open;
+  document.querySelector('.order-alerts-toggle').setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+function updateOrderAlertSetting(name, value) {
+  const settings = loadOrderAlertSettings();
+  settings[name] = value;
+  saveOrderAlertSettings(settings);
+  
+  const toggle = document.querySelector('.order-alerts-toggle i');
+  if (toggle) toggle.className = settings.muted ? 'fas fa-bell-slash' : 'fas fa-bell';
+}
+
+// Bell menu at the end of the staff navbar
+function ensureOrderAlertControls() {
+  const nav = document.getElementById('staff_nav');
+  if (!nav || nav.querySelector('.order-alerts-menu')) return;
+  
+  const settings = loadOrderAlertSettings();
+  
+  const item = document.createElement('li');
+  item.className = 'order-alerts-menu';
+  
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'order-alerts-toggle';
+  toggle.setAttribute('aria-label', 'New order alerts');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.title = 'New order alerts';
+  
+  const icon = document.createElement('i');
+  icon.className = settings.muted ? 'fas fa-bell-slash' : 'fas fa-bell';
   
-  // Apply status styles with delay to ensure DOM is ready
-  setTimeout(() => {
-    applyStatusBadgeStyles();
-  }, 300);
-  
-  // Monitor for new password fields
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      if (mutation.addedNodes.length) {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === 1) {
-            // Check for password inputs
-            if (node.querySelector && 
-                (node.querySelector('input[type="password"]') || 
-                 node.querySelector('input[name*="pass"]'))) {
-              setTimeout(initPasswordToggles, 100);
-            }
-            
-            // Check for status displays
-            if (node.textContent && 
-                (node.textContent.toLowerCase().includes('status') ||
-                 node.querySelector && 
-                 (node.querySelector('[class*="status"]') ||
-                  node.querySelector('td')))) {
-              setTimeout(applyStatusBadgeStyles, 150);
-            }
-            
-            // Check for cart table
-            if (node.querySelector && node.querySelector('#cart_table_display')) {
-              setTimeout(fixCartTableScrolling, 200);
-              setTimeout(fixProductNameLineBreaks, 200);
-            }
-            
-            // Check for modals
-            if (node.classList && node.classList.contains('modal')) {
-              setTimeout(fixAddToCartModalLayout, 100);
-            }
+  const count = document.createElement('span');
+  count.className = 'order-alerts-count';
+  count.textContent = unreadOrderCount;
+  count.hidden = unreadOrderCount === 0;
+  
+  toggle.append(icon, count);
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleOrderAlertsPanel();
+  });
+  
+  const panel = document.createElement('div');
+  panel.className = 'order-alerts-panel';
+  panel.hidden = true;
+  panel.addEventListener('click', (e) => e.stopPropagation());
+  
+  [
+    { name: 'muted', label: 'Mute all alerts' },
+    { name: 'sound', label: 'Play a chime' },
+    { name: 'desktop', label: 'Desktop notifications' }
+  ].forEach(option => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !!settings[option.name];
+    
+    checkbox.addEventListener('change', () => {
+      if (option.name === 'desktop' && checkbox.checked && 'Notification' in window &&
+          Notification.permission !== 'granted') {
+        Notification.requestPermission().then(permission => {
+          checkbox.checked = permission === 'granted';
+          updateOrderAlertSetting('desktop', checkbox.checked);
+          if (!checkbox.checked) {
+            window.showToast('Desktop notifications are blocked in this browser', 'warning');
           }
         });
+        return;
+      }
+      updateOrderAlertSetting(option.name, checkbox.checked);
+    });
+    
+    label.append(checkbox, document.createTextNode(` ${option.label}`));
+    panel.appendChild(label);
+  });
+  
+  item.append(toggle, panel);
+  nav.appendChild(item);
+}
+
+/* =========================================================
+  UI REFRESH SCHEDULER
+========================================================= */
+// Every DOM fix-up is registered here once. Shiny output events, DataTables
+// draws, modal/tab events and a single MutationObserver only mark the
+// subtree that changed; the work runs together on the next animation frame.
+const refreshTasks = [];
+const pendingRefreshRoots = new Set();
+let refreshFrame = null;
+let refreshObserver = null;
+
+// selector: only run when a changed subtree contains/is inside a match.
+// scoped: run once per changed subtree instead of once per frame.
+function registerRefreshTask(name, selector, run, scoped = false) {
+  refreshTasks.push({ name, selector, run, scoped });
+}
+
+function scheduleRefresh(root = document) {
+  if (!root || (root !== document && root.nodeType !== 1)) root = document;
+  
+  pendingRefreshRoots.add(root);
+  if (refreshFrame === null) {
+    refreshFrame = window.requestAnimationFrame(flushRefresh);
+  }
+}
+
+function refreshRootMatches(root, selector) {
+  if (root === document) return !!document.querySelector(selector);
+  return root.matches(selector) || !!root.querySelector(selector) || !!root.closest(selector);
+}
+
+function flushRefresh() {
+  refreshFrame = null;
+  
+  let roots = Array.from(pendingRefreshRoots);
+  pendingRefreshRoots.clear();
+  
+  // Drop detached nodes and nodes already covered by an ancestor in the batch
+  if (roots.includes(document)) {
+    roots = [document];
+  } else {
+    roots = roots.filter(root => root.isConnected &&
+      !roots.some(other => other !== root && other.contains(root)));
+  }
+  if (!roots.length) return;
+  
+  refreshTasks.forEach(task => {
+    const matching = roots.filter(root => refreshRootMatches(root, task.selector));
+    if (!matching.length) return;
+    
+    try {
+      if (task.scoped) {
+        matching.forEach(root => task.run(root));
+      } else {
+        task.run();
       }
+    } catch (e) {
+      console.log(`UI refresh task "${task.name}" failed:`, e);
+    }
+  });
+}
+
+registerRefreshTask('passwordToggles',
+  'input[type="password"], input[name*="pass"], input[name*="Pass"]', initPasswordToggles);
+registerRefreshTask('passwordStrength', '#reg_pass, #register_account', initPasswordStrength);
+registerRefreshTask('numberFormats', '[data-format]', applyNumberFormats, true);
+registerRefreshTask('statusBadges', '[data-status]', applyStatusBadges, true);
+registerRefreshTask('dates', '[data-datetime]', applyDates, true);
+registerRefreshTask('productFilters', '#product_filters, .shoe-card-grid', initProductFilters);
+registerRefreshTask('productCardNav', '.shoe-card-grid', updateProductCardNavigation);
+registerRefreshTask('shinyNotifications', '.shiny-notification', announceShinyNotifications, true);
+registerRefreshTask('variantPicker', '.variant-picker', initVariantPickers, true);
+registerRefreshTask('imageUploaders', '.image-drop-zone', initImageUploaders, true);
+registerRefreshTask('shoeForms', '.shoe-form', initShoeForms, true);
+registerRefreshTask('bulkOrders', '#staff_orders_table', syncBulkSelection);
+registerRefreshTask('shortcutButtons', '.status-buttons-container', decorateShortcutButtons);
+registerRefreshTask('orderAlerts', '#staff_nav', ensureOrderAlertControls);
+registerRefreshTask('themeControls', '#customer_nav, #staff_nav', ensureThemeControls);
+registerRefreshTask('languageControls',
+  '#customer_nav, #staff_nav, #login_container .login-box', ensureLanguageControls);
+registerRefreshTask('translations',
+  '[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]', applyTranslations, true);
+registerRefreshTask('orderAlertsReset', '#login_container .login-box', clearUnreadOrders);
+registerRefreshTask('modalLayout', '.modal', () => {
+  fixAllModalCentering();
+  fixAddToCartModalLayout();
+});
+
+function startRefreshScheduler() {
+  if (refreshObserver) return;
+  
+  // Structural changes only - attribute churn from our own fix-ups is ignored
+  refreshObserver = new MutationObserver((mutations) => {
+    mutations.forEach(mutation => {
+      const added = Array.from(mutation.addedNodes).filter(node => node.nodeType === 1);
+      if (!added.length) return;
+      
+      // One root per mutated parent, e.g. a tbody rather than every row
+      scheduleRefresh(mutation.target);
     });
   });
   
-  observer.observe(document.body, {
+  refreshObserver.observe(document.body, {
     childList: true,
     subtree: true
   });
+  
+  $(document).on('shiny:value shiny:recalculated', function(e) {
+    scheduleRefresh(e.target);
+  });
+  
+  $(document).on('draw.dt', function(e) {
+    scheduleRefresh(e.target);
+  });
+  
+  $(document).on('shown.bs.tab', function(e) {
+    const href = e.target.getAttribute('href');
+    scheduleRefresh(href && href.startsWith('#') ? document.querySelector(href) : document);
+  });
+  
+  window.addEventListener('popstate', () => scheduleRefresh());
+  window.addEventListener('hashchange', () => scheduleRefresh());
+}
+
+/* =========================================================
+  INITIALIZATION
+========================================================= */
+let uiInitialized = false;
+
+// Safe to call any number of times: setup runs once, later calls only
+// queue a full refresh.
+function init() {
+  if (!uiInitialized) {
+    uiInitialized = true;
+    console.log('Initializing shoe ordering system...');
+    
+    initAccessibility();
+    startRefreshScheduler();
+    setInterval(refreshRelativeDates, 60000);
+  }
+  
+  scheduleRefresh();
 }
 
 /* =========================================================
@@ -682,31 +5249,82 @@ function init() {
 ========================================================= */
 if (window.Shiny) {
   Shiny.addCustomMessageHandler('showToast', function(message) {
-    window.showToast(message.text, message.type, message.duration || 3000);
+    window.showToast(message.html ? trustedHtml(message.text) : message.text,
+      message.type, message.duration || 3000, {
+      waitForModal: message.waitForModal,
+      action: message.action
+    });
   });
   
-  Shiny.addCustomMessageHandler('formatNumbers', function() {
-    setTimeout(formatNumbersWithCommas, 100);
+  Shiny.addCustomMessageHandler('showAlert', function(message) {
+    window.showAlert(message);
   });
   
-  Shiny.addCustomMessageHandler('refreshUI', function() {
-    setTimeout(init, 100);
+  Shiny.addCustomMessageHandler('passwordRules', function(message) {
+    setPasswordRules(message);
+  });
+  
+  Shiny.addCustomMessageHandler('cartUpdated', function(message) {
+    handleCartUpdated(message);
+  });
+  
+  Shiny.addCustomMessageHandler('newOrders', function(message) {
+    handleNewOrders(message);
+  });
+  
+  Shiny.addCustomMessageHandler('shoeGallery', function(message) {
+    handleShoeGallery(message);
+  });
+  
+  Shiny.addCustomMessageHandler('resetImageUploader', function(message) {
+    resetImageUploader(message.inputId);
+  });
+  
+  Shiny.addCustomMessageHandler('packingSlips', function(message) {
+    printPackingSlips(message.orders);
+  });
+  
+  Shiny.addCustomMessageHandler('salesCharts', function(message) {
+    handleSalesCharts(message);
+  });
+  
+  Shiny.addCustomMessageHandler('bulkStatusResult', function(message) {
+    showBulkStatusResult(message);
+  });
+  
+  Shiny.addCustomMessageHandler('i18n', function(message) {
+    setLanguage(message.language, message.messages);
+  });
+  
+  Shiny.addCustomMessageHandler('replayPendingActions', function(message) {
+    replayPendingActions(message.userId);
+  });
+  
+  Shiny.addCustomMessageHandler('actionOwner', function(message) {
+    setActionOwner(message.userId);
+  });
+  
+  Shiny.addCustomMessageHandler('formatNumbers', function() {
+    scheduleRefresh();
   });
   
-  Shiny.addCustomMessageHandler('refreshCSS', function(message) {
-    setTimeout(initializeCSSPersistence, 50);
+  Shiny.addCustomMessageHandler('refreshUI', function() {
+    init();
   });
   
-  Shiny.addCustomMessageHandler('forceCSSReload', function(message) {
-    forceCSSReload();
+  Shiny.addCustomMessageHandler('statusRegistry', function(message) {
+    setStatusRegistry(message.statuses);
+    setOrderTransitions(message.transitions);
+    applyStatusBadges();
+    refreshStatusTables();
   });
   
   Shiny.addCustomMessageHandler('applyStatusStyles', function() {
-    setTimeout(applyStatusBadgeStyles, 100);
+    scheduleRefresh();
   });
   
   Shiny.addCustomMessageHandler('fixModalLayout', function() {
-    setTimeout(fixAddToCartModalLayout, 100);
+    scheduleRefresh(getOpenModals()[0]);
   });
 }
 
@@ -714,155 +5332,152 @@ if (window.Shiny) {
   EVENT LISTENERS
 ========================================================= */
 document.addEventListener('DOMContentLoaded', function() {
-  setTimeout(initForShinyapps, 100);
-  // Initial initialization
-  setTimeout(init, 500);
+  init();
   
-  // Monitor for modal openings
-  $(document).on('shown.bs.modal', function(e) {
-    const modal = e.target;
-    
-    setTimeout(() => {
-      fixAllModalCentering();
-      formatNumbersWithCommas();
-      fixDateFormatting();
-      applyStatusBadgeStyles();
-      fixAddToCartModalLayout();
-      
-      // Check if this is a cart modal
-      if (modal.querySelector('#cart_table_display')) {
-        fixCartTableScrolling();
-        fixProductNameLineBreaks();
-      }
-      
-      // Check if this is an order history modal
-      if (modal.querySelector('.order-history-modal')) {
-        fixProductNameLineBreaks();
-      }
-    }, 100);
+  $(document).on('shiny:connected', reportClientTimezone);
+  $(document).on('shiny:connected', reportClientLanguage);
+  $(document).on('shiny:connected', handleShinyConnected);
+  $(document).on('shiny:disconnected', handleShinyDisconnected);
+  
+  // Capture phase so offline clicks are caught before Shiny sees them
+  document.addEventListener('click', handleReplayableClick, true);
+  
+  // Also capture phase, so ticking an order checkbox never reaches DT
+  document.addEventListener('click', handleBulkSelectClick, true);
+  
+  document.addEventListener('keydown', handleStaffShortcuts);
+  document.addEventListener('paste', handleImagePaste);
+  
+  $(document).on('click', '.quick-view-trigger', function() {
+    openQuickView(this);
   });
   
-  $(document).on('hidden.bs.modal', function() {
-    // Reapply styles after modal closes
-    setTimeout(applyStatusBadgeStyles, 50);
+  $(document).on('click', '#bulk_order_bar .bulk-order-action', function() {
+    requestBulkStatusUpdate(this.getAttribute('data-target-status'));
   });
-});
-
-/* =========================================================
-  MUTATION OBSERVER FOR DYNAMIC CONTENT
-========================================================= */
-const observer = new MutationObserver((mutations) => {
-  let shouldUpdate = false;
-  let cartUpdated = false;
-  let statusUpdated = false;
-  let modalUpdated = false;
-  let loginUpdated = false;
   
-  mutations.forEach(mutation => {
-    if (mutation.type === 'childList') {
-      mutation.addedNodes.forEach(node => {
-        if (node.nodeType === 1) {
-          // Check for login container updates
-          if (node.id === 'login_container' || 
-              (node.classList && node.classList.contains('login-box'))) {
-            loginUpdated = true;
-          }
-          
-          // Check for tables
-          if (node.classList && 
-              (node.classList.contains('dataTable') || 
-               node.querySelector('.dataTable') ||
-               node.id === 'customer_completed' ||
-               node.id === 'staff_orders_table' ||
-               node.id === 'cart_table_display')) {
-            shouldUpdate = true;
-          }
-          
-          // Check for cart modal
-          if (node.classList && node.classList.contains('modal-content')) {
-            if (node.querySelector('#cart_table_display')) {
-              cartUpdated = true;
-            }
-            modalUpdated = true;
-          }
-          
-          // Check for status updates
-          if (node.textContent && 
-              (node.textContent.toLowerCase().includes('status') ||
-               node.querySelector && node.querySelector('[class*="status"]'))) {
-            statusUpdated = true;
-          }
-        }
-      });
+  $(document).on('click', '#bulk_order_bar .bulk-order-clear', clearBulkSelection);
+  
+  // Declarative replacements for inline onclick attributes
+  $(document).on('click', '[data-event-input]', handleEventInputClick);
+  
+  $(document).on('click', '[data-toggle-password]', function() {
+    togglePasswordVisibility(this);
+  });
+  
+  $(document).on('click', '.cart-qty-btn', function() {
+    changeCartQuantity(this);
+  });
+  
+  document.addEventListener('error', handleImageFallback, true);
+  
+  $(document).on('click', '.receipt-print, .receipt-pdf', function() {
+    const receipt = readReceipt(this);
+    if (!receipt) return;
+    if (this.classList.contains('receipt-pdf')) {
+      downloadReceiptPdf(receipt);
+    } else {
+      printReceipt(receipt);
     }
   });
   
-  if (loginUpdated) {
-    setTimeout(() => {
-      forceCSSReload();
-    }, 200);
-  }
+  // A pasted or edited #products?... link takes over the current filters
+  window.addEventListener('hashchange', function() {
+    if (!window.location.hash.startsWith(PRODUCT_HASH_PREFIX)) return;
+    productFilterState = readProductFilterHash();
+    productSignature = '';
+    initProductFilters();
+  });
   
-  if (shouldUpdate) {
-    setTimeout(() => {
-      initPasswordToggles();
-      formatNumbersWithCommas();
-      fixDateFormatting();
-      fixProductNameLineBreaks();
-    }, 100);
-  }
+  // Looking at Manage Orders (or refreshing it) counts as reading new orders
+  $(document).on('shown.bs.tab', function(e) {
+    if (e.target.getAttribute('data-value') === 'Manage Orders') clearUnreadOrders();
+  });
   
-  if (cartUpdated) {
-    setTimeout(() => {
-      fixCartTableScrolling();
-      fixProductNameLineBreaks();
-    }, 150);
-  }
+  $(document).on('click', '#refresh_staff_orders', clearUnreadOrders);
   
-  if (statusUpdated) {
-    setTimeout(applyStatusBadgeStyles, 100);
-  }
+  document.addEventListener('visibilitychange', function() {
+    if (isManageOrdersActive()) clearUnreadOrders();
+  });
   
-  if (modalUpdated) {
-    setTimeout(fixAddToCartModalLayout, 100);
-  }
-});
-
-// Start observing
-observer.observe(document.body, { 
-  childList: true, 
-  subtree: true,
-  attributes: true,
-  attributeFilter: ['class', 'id', 'style']
+  document.addEventListener('click', function() {
+    toggleOrderAlertsPanel(false);
+    toggleThemePanel(false);
+  });
+  
+  // Fired by applyTheme() in theme.js, whether picked here or by the OS
+  document.addEventListener('themechange', function() {
+    updateThemeControls();
+    renderSalesCharts();
+  });
+  
+  // Modals are measured once they are visible
+  $(document).on('show.bs.modal', handleModalShow);
+  
+  $(document).on('shown.bs.modal', function(e) {
+    handleModalShown(e);
+    scheduleRefresh(e.target);
+  });
+  
+  $(document).on('hidden.bs.modal', function(e) {
+    handleModalHidden(e);
+    
+    // Release any toasts and alerts that were waiting for the modal to go away
+    flushToastQueue();
+    processAlertQueue();
+  });
+  
+  document.addEventListener('keydown', trapModalFocus);
+  
+  // Mini-cart closes on Escape or a click anywhere outside it
+  document.addEventListener('click', function(e) {
+    if (!e.target.closest('.mini-cart-drawer')) closeMiniCart();
+  });
+  
+  document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') closeMiniCart();
+  });
 });
 
-/* =========================================================
-  NAVIGATION MONITOR
-========================================================= */
-let lastHref = window.location.href;
-setInterval(() => {
-  if (window.location.href !== lastHref) {
-    lastHref = window.location.href;
-    // Reinitialize on navigation
-    setTimeout(init, 300);
-  }
-}, 100);
-
 /* =========================================================
   GLOBAL EXPORTS
 ========================================================= */
-window.formatNumbersWithCommas = formatNumbersWithCommas;
-window.fixCartTable = fixCartTable;
+window.html = html;
+window.trustedHtml = trustedHtml;
+window.setHtml = setHtml;
+window.applyNumberFormats = applyNumberFormats;
+window.formatNumber = formatNumber;
+window.dtFormatRender = dtFormatRender;
 window.fixAllModalCentering = fixAllModalCentering;
 window.fixAddToCartModalLayout = fixAddToCartModalLayout;
-window.fixCartTableScrolling = fixCartTableScrolling;
-window.fixDateFormatting = fixDateFormatting;
+window.renderDate = renderDate;
+window.dtDateRender = dtDateRender;
+window.applyDates = applyDates;
 window.initPasswordToggles = initPasswordToggles;
-window.initializeCSSPersistence = initializeCSSPersistence;
-window.forceCSSReload = forceCSSReload;
-window.fixProductNameLineBreaks = fixProductNameLineBreaks;
-window.applyStatusBadgeStyles = applyStatusBadgeStyles;
+window.initPasswordStrength = initPasswordStrength;
+window.applyStatusBadges = applyStatusBadges;
+window.renderStatusBadge = renderStatusBadge;
+window.dtStatusRender = dtStatusRender;
+window.dtItemCardRow = dtItemCardRow;
+window.dtItemImageRender = dtItemImageRender;
+window.dtCartQuantityRender = dtCartQuantityRender;
 window.togglePasswordVisibility = togglePasswordVisibility;
-
-// Initialize on load
-setTimeout(init, 1000);
\ No newline at end of file
+window.closeAlert = closeAlert;
+window.flushToastQueue = flushToastQueue;
+window.openMiniCart = openMiniCart;
+window.closeMiniCart = closeMiniCart;
+window.replayPendingActions = replayPendingActions;
+window.openCommandPalette = openCommandPalette;
+window.closeCommandPalette = closeCommandPalette;
+window.initVariantPickers = initVariantPickers;
+window.initImageUploaders = initImageUploaders;
+window.initShoeForms = initShoeForms;
+window.printReceipt = printReceipt;
+window.downloadReceiptPdf = downloadReceiptPdf;
+window.printPackingSlips = printPackingSlips;
+window.renderSalesCharts = renderSalesCharts;
+window.dtBulkSelectRender = dtBulkSelectRender;
+window.openQuickView = openQuickView;
+window.closeQuickView = closeQuickView;
+window.scheduleRefresh = scheduleRefresh;
+window.init = init;
\ No newline at end of file
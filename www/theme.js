@@ -0,0 +1,73 @@
+/* =========================================================
+  THEME (LOADED BEFORE FIRST PAINT)
+========================================================= */
+// Loaded synchronously in <head>, ahead of styles.css, so the saved theme is
+// on <html data-theme="..."> before anything renders. Everything here lives
+// on <html>, which Shiny never re-renders, so logout/login keeps the theme.
+// The navbar switcher is built in script.js.
+const THEMES = {
+  light: 'Light',
+  dark: 'Dark',
+  'high-contrast': 'High contrast'
+};
+const THEME_STORAGE_KEY = 'pjmTheme';
+
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+const moreContrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+
+// 'system' (the default) or one of THEMES
+function loadThemePreference() {
+  try {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES[saved] ? saved : 'system';
+  } catch (e) {
+    return 'system';
+  }
+}
+
+function saveThemePreference(preference) {
+  try {
+    if (THEMES[preference]) {
+      localStorage.setItem(THEME_STORAGE_KEY, preference);
+    } else {
+      localStorage.removeItem(THEME_STORAGE_KEY);
+    }
+  } catch (e) {
+    // Private browsing - the choice just won't outlive the tab
+  }
+}
+
+function resolveTheme(preference) {
+  if (THEMES[preference]) return preference;
+  if (moreContrastQuery && moreContrastQuery.matches) return 'high-contrast';
+  return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme(preference = loadThemePreference()) {
+  const theme = resolveTheme(preference);
+  const root = document.documentElement;
+
+  root.setAttribute('data-theme', theme);
+  root.setAttribute('data-theme-preference', THEMES[preference] ? preference : 'system');
+  root.style.colorScheme = theme === 'light' ? 'light' : 'dark';
+
+  document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, preference } }));
+  return theme;
+}
+
+// Follow the OS while the user hasn't picked a theme themselves
+[darkSchemeQuery, moreContrastQuery].forEach(query => {
+  if (!query || !query.addEventListener) return;
+  query.addEventListener('change', () => {
+    if (loadThemePreference() === 'system') applyTheme('system');
+  });
+});
+
+// Left behind by the old css-loaded persistence workaround
+try {
+  localStorage.removeItem('cssLoaded');
+} catch (e) {
+  // Nothing to clean up
+}
+
+applyTheme();